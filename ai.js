@@ -4,16 +4,19 @@
 //
 // Optimizations:
 // - avoids JSON cloning in move generation (temporarily sets state.turn)
+// - searches with makeMove/unmakeMove on one working copy instead of cloning per node
 // - limits moves per node (beam pruning) to reduce branching
 // - limits swap-scan in evaluation to a small number of moves
 // - uses simple ordering (captures / swaps first)
 
 import {
-  generatePseudoLegalMoves,
-  expandWithPortalOutcomes,
-  applyResolvedMove,
-  filterLegalByCheck,
+  generateLegalMoves,
+  makeMove,
+  unmakeMove,
+  hashKey,
   inCheck,
+  explainCheck,
+  pieceAt,
 } from "./engine.js";
 
 // Piece values
@@ -72,33 +75,35 @@ function portalHas(state, sq) {
 function getAllResolvedMovesForColor(state, color, limit = Infinity) {
   const prevTurn = state.turn;
   state.turn = color; // temporarily set; engine functions reference state.turn
-  const moves = [];
-  // iterate all squares
-  for (let i = 0; i < 64; i++) {
-    const sq = indexToSq(i);
-    const p = state.board[i];
-    if (!p || p.color !== color) continue;
-    const baseMoves = generatePseudoLegalMoves(state, sq);
-    for (const bm of baseMoves) {
-      const outcomes = expandWithPortalOutcomes(state, bm);
-      if (!outcomes || outcomes.length === 0) continue;
-      const legal = filterLegalByCheck(state, outcomes);
-      for (const o of legal) moves.push(o);
-    }
-  }
+  const moves = generateLegalMoves(state);
   state.turn = prevTurn; // restore
   // Order and limit
-  moves.sort((a, b) => moveScoreForOrdering(state, b) - moveScoreForOrdering(state, a));
+  const evasions = checkEvasionSquares(state, color);
+  moves.sort((a, b) => moveScoreForOrdering(state, b, evasions) - moveScoreForOrdering(state, a, evasions));
   if (moves.length > limit) moves.length = limit;
   return moves;
 }
 
-// Lightweight ordering function (captures and portal-swaps first)
-function moveScoreForOrdering(state, move) {
+// When `color` is in check, the squares of the checking pieces and the squares that block
+// their routes (see explainCheck in engine.js); null otherwise
+function checkEvasionSquares(state, color) {
+  if (!inCheck(state, color)) return null;
+  const squares = new Set();
+  for (const c of explainCheck(state, color).checkers) {
+    squares.add(c.from);
+    for (const sq of c.blocks) squares.add(sq);
+  }
+  return squares;
+}
+
+// Lightweight ordering function (captures and portal-swaps first; when in check,
+// capturing a checker or interposing goes before king moves so the beam keeps them)
+function moveScoreForOrdering(state, move, evasions = null) {
   let score = 0;
-  if (move.kind === "capture") score += 200;
+  if (move.kind === "capture" || move.kind === "enpassant") score += 200;
   if (move.viaPortal?.swapped) score += 300;
   const dest = (move.toFinal || move.to);
+  if (evasions && evasions.has(move.to.toUpperCase())) score += 150;
   if (CENTER_SQS.has(dest.toUpperCase())) score += 10;
   return score;
 }
@@ -111,9 +116,9 @@ function evaluateState(state, color) {
 
   // Material + simple bonuses
   for (let i = 0; i < 64; i++) {
-    const piece = state.board[i];
-    if (!piece) continue;
     const sq = indexToSq(i);
+    const piece = pieceAt(state, sq);
+    if (!piece) continue;
     const val = PIECE_VALUE[piece.type] || 0;
     const sign = piece.color === color ? 1 : -1;
     material += val * sign;
@@ -128,8 +133,8 @@ function evaluateState(state, color) {
     if (m.viaPortal && m.viaPortal.swapped) {
       const fromSq = m.from.toUpperCase();
       const destSq = (m.toFinal || m.to).toUpperCase();
-      const mover = state.board[RANKS.indexOf(fromSq[1]) * 8 + FILES.indexOf(fromSq[0])];
-      const opp = state.board[RANKS.indexOf(destSq[1]) * 8 + FILES.indexOf(destSq[0])];
+      const mover = pieceAt(state, fromSq);
+      const opp = pieceAt(state, destSq);
       if (mover && opp && mover.color !== opp.color) {
         const diff = (PIECE_VALUE[opp.type] || 0) - (PIECE_VALUE[mover.type] || 0);
         if (diff > 0) swapBonus = Math.max(swapBonus, WEIGHTS.swapOpportunityBase * diff);
@@ -151,27 +156,14 @@ function evaluateState(state, color) {
 }
 
 // Minimax + alpha-beta with beam limiting (MAX_MOVES_PER_NODE applied at each node)
-// Transposition cache: Map from key (posKey + ':' + depth) -> { value, move }
+// Transposition cache: Map from key (Zobrist key + ':' + depth + ':' + color) -> { value, move }
+// The engine's Zobrist key covers castling, en passant, portal cooldowns/no-return state, the
+// portal layout and the rule variant, so entries never leak between positions that only differ there.
 const tt = new Map();
 
-// Lightweight position key: 64-char board string (piece letter upper=white lower=black or '.'), plus turn
-function positionKey(state) {
-  let out = '';
-  for (let i = 0; i < 64; i++) {
-    const p = state.board[i];
-    if (!p) out += '.';
-    else {
-      const ch = p.type || '?';
-      out += (p.color === 'w') ? ch.toUpperCase() : ch.toLowerCase();
-    }
-  }
-  out += '|' + (state.turn || 'w');
-  return out;
-}
-
 function minimax(state, depth, alpha, beta, maximizingPlayerColor, currentPlayerColor) {
   // Transposition table lookup
-  const key = positionKey(state) + ':' + depth + ':' + maximizingPlayerColor;
+  const key = hashKey(state) + ':' + depth + ':' + maximizingPlayerColor;
   const cached = tt.get(key);
   if (cached) {
     return { value: cached.value, move: cached.move };
@@ -201,8 +193,10 @@ function minimax(state, depth, alpha, beta, maximizingPlayerColor, currentPlayer
   if (currentPlayerColor === maximizingPlayerColor) {
     let maxEval = -Infinity;
     for (const m of moves) {
-      const nextState = applyResolvedMove(state, m);
-      const res = minimax(nextState, depth - 1, alpha, beta, maximizingPlayerColor, currentPlayerColor === 'w' ? 'b' : 'w');
+      const undo = makeMove(state, m);
+      // the side to move next comes from the state: handicap extra moves keep the turn
+      const res = minimax(state, depth - 1, alpha, beta, maximizingPlayerColor, state.turn);
+      unmakeMove(state, undo);
       if (res.value > maxEval) { maxEval = res.value; bestMove = m; }
       alpha = Math.max(alpha, res.value);
       if (beta <= alpha) break;
@@ -212,8 +206,9 @@ function minimax(state, depth, alpha, beta, maximizingPlayerColor, currentPlayer
   } else {
     let minEval = Infinity;
     for (const m of moves) {
-      const nextState = applyResolvedMove(state, m);
-      const res = minimax(nextState, depth - 1, alpha, beta, maximizingPlayerColor, currentPlayerColor === 'w' ? 'b' : 'w');
+      const undo = makeMove(state, m);
+      const res = minimax(state, depth - 1, alpha, beta, maximizingPlayerColor, state.turn);
+      unmakeMove(state, undo);
       if (res.value < minEval) { minEval = res.value; bestMove = m; }
       beta = Math.min(beta, res.value);
       if (beta <= alpha) break;
@@ -230,7 +225,9 @@ function minimax(state, depth, alpha, beta, maximizingPlayerColor, currentPlayer
 // want (e.g. at the start of a game). This preserves safety while enabling
 // large speedups.
 export function getBestMove(state, depth = 3, color = 'b') {
-  const res = minimax(state, depth, -Infinity, Infinity, color, color);
+  // minimax makes and unmakes moves in place: search a private copy of the caller's state
+  const work = typeof structuredClone === 'function' ? structuredClone(state) : JSON.parse(JSON.stringify(state));
+  const res = minimax(work, depth, -Infinity, Infinity, color, color);
   return res.move;
 }
 
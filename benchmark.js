@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/*
+  benchmark.js
+  Time the engine's move generator and the AI search on a fixed set of positions.
+
+  Usage:
+    node benchmark.js [ITERATIONS] [AI_DEPTH]
+  Examples:
+    node benchmark.js 20 2
+
+  For each position it reports the number of legal moves, the average time to generate
+  them (pseudo-legal generation, portal expansion and check filtering, as the UI does)
+  and the time of one AI search. Compare runs before and after engine changes.
+*/
+
+import { fromPFEN, generatePseudoLegalMoves, expandWithPortalOutcomes, filterLegalByCheck } from './engine.js';
+import { getBestMove, clearTranspositionTable } from './ai.js';
+
+const ITERATIONS = Number(process.argv[2] || process.env.ITERATIONS || 20);
+const AI_DEPTH = Number(process.argv[3] || process.env.AI_DEPTH || 2);
+
+// Opening, early and late middlegames from portal-heavy play, pieces parked on every
+// portal network, and a sparse endgame
+const BENCHMARK_POSITIONS = [
+  { name: 'initial', pfen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 - -/-' },
+  { name: 'opening', pfen: '1n1qkbnr/rpp1pppp/8/pP6/1Pp5/1P5b/PBPP1P1P/RN1QKBNR w KQk - 2 5 - -/-' },
+  { name: 'middlegame', pfen: '1n2kbnr/r3pp1p/1p1p4/2p2K2/1p2p1P1/PPP1Q2b/1B3P1P/RN3BNR w k - 0 11 - -/be4c4' },
+  { name: 'portals', pfen: 'r3k2r/ppp2ppp/2n1bn2/1N1Q1B2/2b1q3/1B2N3/PPP2PPP/R3K2R w KQkq - 0 12 - -/-' },
+  { name: 'endgame', pfen: '4kb1r/4pp1p/1pnp4/1P1K4/rPp1P1n1/P1N5/4bP1P/1Rr3NR w k - 2 31 - -/-' },
+];
+
+const SQUARES = [];
+for (const r of '12345678') for (const f of 'ABCDEFGH') SQUARES.push(`${f}${r}`);
+
+function legalMoves(state) {
+  const out = [];
+  for (const sq of SQUARES) {
+    for (const bm of generatePseudoLegalMoves(state, sq)) {
+      out.push(...filterLegalByCheck(state, expandWithPortalOutcomes(state, bm)));
+    }
+  }
+  return out;
+}
+
+function run() {
+  console.log(`Benchmark: ${ITERATIONS} move generations per position, AI depth ${AI_DEPTH}`);
+  let genTotal = 0, aiTotal = 0;
+  for (const { name, pfen } of BENCHMARK_POSITIONS) {
+    const state = fromPFEN(pfen);
+    let count = 0;
+    const t0 = process.hrtime.bigint();
+    for (let i = 0; i < ITERATIONS; i++) count = legalMoves(state).length;
+    const genMs = Number(process.hrtime.bigint() - t0) / 1e6 / ITERATIONS;
+
+    clearTranspositionTable();
+    const t1 = process.hrtime.bigint();
+    getBestMove(state, AI_DEPTH, state.turn);
+    const aiMs = Number(process.hrtime.bigint() - t1) / 1e6;
+
+    genTotal += genMs; aiTotal += aiMs;
+    console.log(`${name.padEnd(12)} ${String(count).padStart(3)} moves  movegen ${genMs.toFixed(2).padStart(9)} ms  ai ${aiMs.toFixed(1).padStart(9)} ms`);
+  }
+  console.log(`${'total'.padEnd(22)}  movegen ${genTotal.toFixed(2).padStart(9)} ms  ai ${aiTotal.toFixed(1).padStart(9)} ms`);
+}
+
+run();
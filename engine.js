@@ -5,74 +5,334 @@
 const FILES = "ABCDEFGH".split("");
 const RANKS = "12345678".split("");
 
-// Portals (current settings)
-const WHITE_PORTALS_SQS = ["D5", "F5", "E3", "B3"]; // Central Pressure
-const BLACK_PORTALS_SQS = ["C4", "E4", "D6", "G6"]; // Counter-Attack
-const NEUTRAL_PAIRS_SQS = [["B5", "G4"]];           // unchanged
+// Default portal layout (see the project brief). Other layouts can be passed to initialState().
+export const DEFAULT_PORTAL_LAYOUT = Object.freeze({
+  white: Object.freeze(["D5", "F5", "E3", "B3"]),   // Central Pressure
+  black: Object.freeze(["C4", "E4", "D6", "G6"]),   // Counter-Attack
+  neutralPairs: Object.freeze([Object.freeze(["B5", "G4"])]),
+});
+
+// -------------------------
+// Board representation
+// -------------------------
+// state.board is a 0x88 board: a plain array of 128 numbers indexed rank * 16 + file (A1 = 0,
+// H8 = 119). Indices with (sq & 0x88) set lie off the board and always hold 0, so a step that
+// leaves the board shows up in that one bit and needs no file/rank arithmetic. A piece is its
+// type code, plus BLACK for Black's pieces and MOVED once it has moved; 0 is an empty square.
+// Plain numbers keep states JSON- and structuredClone-friendly. Square names only appear at the
+// API boundary (move objects, portal maps, state fields), pieceAt() reads a square as
+// { type, color, hasMoved }, and serializeState keeps the 64-entry wire format.
+const PAWN = 1, KNIGHT = 2, BISHOP = 3, ROOK = 4, QUEEN = 5, KING = 6;
+const TYPE_MASK = 7;
+const BLACK = 8;
+const MOVED = 16;
+const PIECE_MASK = TYPE_MASK | BLACK; // type and colour, for matching a kind of piece
+const TYPE_LETTERS = '.PNBRQK';
+
+const SQ_NAMES = new Array(128).fill(null);
+const SQ_LOOKUP = new Map();
+// The 64 board squares as 0x88 indices, A1 to H8
+const BOARD_SQUARES = [];
+for (let r = 0; r < 8; r++) {
+  for (let f = 0; f < 8; f++) {
+    const sq = r * 16 + f;
+    SQ_NAMES[sq] = `${FILES[f]}${RANKS[r]}`;
+    SQ_LOOKUP.set(SQ_NAMES[sq], sq);
+    SQ_LOOKUP.set(SQ_NAMES[sq].toLowerCase(), sq);
+    BOARD_SQUARES.push(sq);
+  }
+}
 
 function sqToIndex(sqRaw) {
-  const sq = sqRaw.toUpperCase();
+  const i = SQ_LOOKUP.get(sqRaw);
+  if (i !== undefined) return i;
+  const sq = String(sqRaw).toUpperCase();
   const f = FILES.indexOf(sq[0]);
   const r = RANKS.indexOf(sq[1]);
-  if (f < 0 || r < 0) throw new Error(`Bad square: ${sqRaw}`);
-  return r * 8 + f;
+  if (sq.length !== 2 || f < 0 || r < 0) throw new Error(`Bad square: ${sqRaw}`);
+  return r * 16 + f;
 }
 function indexToSq(i) {
-  const f = i % 8; const r = Math.floor(i / 8);
-  return `${FILES[f]}${RANKS[r]}`;
+  return SQ_NAMES[i];
+}
+// 0x88 index <-> the 0..63 numbering (rank * 8 + file) of the wire format and the Zobrist tables
+function sq64(sq) { return (sq >> 4) * 8 + (sq & 7); }
+function sq88(i) { return (i >> 3) * 16 + (i & 7); }
+
+function colorBit(color) { return color === 'b' ? BLACK : 0; }
+function pieceColor(piece) { return piece & BLACK ? 'b' : 'w'; }
+function pieceType(piece) { return TYPE_LETTERS[piece & TYPE_MASK]; }
+function pieceCode(type, color, hasMoved) {
+  return TYPE_LETTERS.indexOf(type) | colorBit(color) | (hasMoved ? MOVED : 0);
+}
+// Frozen { type, color, hasMoved } views, by piece code
+const PIECE_VIEWS = Array.from({ length: 32 }, (_, code) => ((code & TYPE_MASK) && (code & TYPE_MASK) <= KING
+  ? Object.freeze({ type: pieceType(code), color: pieceColor(code), hasMoved: !!(code & MOVED) }) : null));
+
+// Steps as 0x88 offsets, in the order moves have always been generated
+const KNIGHT_STEPS = [[1,2],[2,1],[2,-1],[1,-2],[-1,-2],[-2,-1],[-2,1],[-1,2]].map(([df, dr]) => dr * 16 + df);
+const DIR_STEPS = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]].map(([df, dr]) => dr * 16 + df); // 0-3 orthogonal, 4-7 diagonal
+const ROOK_STEPS = DIR_STEPS.slice(0, 4);
+const BISHOP_STEPS = DIR_STEPS.slice(4);
+const QUEEN_STEPS = DIR_STEPS;
+// On a 0x88 board the difference of two squares tells how they lie: LINE_STEP[to - from + 119]
+// is the step leading from `from` to `to` along a rank, file or diagonal (0 when there is none)
+const LINE_STEP = new Int8Array(239);
+for (const step of DIR_STEPS) for (let k = 1; k < 8; k++) LINE_STEP[step * k + 119] = step;
+function isOrthogonal(step) { return step === 1 || step === -1 || step === 16 || step === -16; }
+
+// True when nothing stands strictly between `from` and `to`, which lie on a line along `step`
+function rayClear(board, from, to, step) {
+  for (let sq = from + step; sq !== to; sq += step) {
+    if (board[sq]) return false;
+  }
+  return true;
+}
+
+// 64-square masks are kept as two unsigned 32-bit words, ranks 1-4 then ranks 5-8, at
+// masks[at] and masks[at + 1]; true when the bit of 0x88 square `sq` is set
+function maskHas(masks, at, sq) {
+  const i = sq64(sq);
+  return (i < 32 ? (masks[at] >>> i) & 1 : (masks[at + 1] >>> (i - 32)) & 1) === 1;
 }
 
-// Build portal sets and helpers
+// Build portal sets and helpers from a layout:
+// { white: [sq...], black: [sq...], neutralPairs: [[sqA, sqB], ...] }
+// The plain `layout` copy travels with the state so JSON round-trips (Socket.io) can rebuild the Sets.
 function buildSet(arr) { return new Set(arr.map(s => s.toUpperCase())); }
-const PORTALS = Object.freeze({
-  white: buildSet(WHITE_PORTALS_SQS),
-  black: buildSet(BLACK_PORTALS_SQS),
-  neutralPairs: Object.freeze(NEUTRAL_PAIRS_SQS.map(([a,b]) => [a.toUpperCase(), b.toUpperCase()])),
-  // Derived arrays for consumers that want indices/exits
-  indices: Object.freeze({
-    white: Object.freeze(WHITE_PORTALS_SQS.map(sq => sqToIndex(sq))),
-    black: Object.freeze(BLACK_PORTALS_SQS.map(sq => sqToIndex(sq))),
-    neutralPairs: Object.freeze(NEUTRAL_PAIRS_SQS.map(([a,b]) => [sqToIndex(a), sqToIndex(b)])),
-  }),
-  exits: (function buildExits() {
-    const out = {};
-    for (const s of WHITE_PORTALS_SQS) out[s.toUpperCase()] = WHITE_PORTALS_SQS.filter(x => x.toUpperCase() !== s.toUpperCase()).map(x => x.toUpperCase());
-    for (const s of BLACK_PORTALS_SQS) out[s.toUpperCase()] = BLACK_PORTALS_SQS.filter(x => x.toUpperCase() !== s.toUpperCase()).map(x => x.toUpperCase());
-    out["B5"] = ["G4"]; out["G4"] = ["B5"];
-    return Object.freeze(out);
-  })(),
+export function buildPortals(layout = DEFAULT_PORTAL_LAYOUT) {
+  if (!layout || !Array.isArray(layout.white) || !Array.isArray(layout.black) || !Array.isArray(layout.neutralPairs)) {
+    throw new Error('Bad portal layout: expected { white: [], black: [], neutralPairs: [] }');
+  }
+  const white = layout.white.map(sq => indexToSq(sqToIndex(sq)));
+  const black = layout.black.map(sq => indexToSq(sqToIndex(sq)));
+  const neutralPairs = layout.neutralPairs.map(pair => {
+    if (!Array.isArray(pair) || pair.length !== 2) throw new Error(`Bad neutral portal pair: ${JSON.stringify(pair)}`);
+    return [indexToSq(sqToIndex(pair[0])), indexToSq(sqToIndex(pair[1]))];
+  });
+  const all = [...white, ...black, ...neutralPairs.flat()];
+  const dup = all.find((sq, i) => all.indexOf(sq) !== i);
+  if (dup) throw new Error(`Bad portal layout: ${dup} is used more than once`);
+
+  const exits = {};
+  for (const sq of white) exits[sq] = white.filter(x => x !== sq);
+  for (const sq of black) exits[sq] = black.filter(x => x !== sq);
+  for (const [a, b] of neutralPairs) { exits[a] = [b]; exits[b] = [a]; }
+
+  // The same map by 0x88 square for the move generator: owner is 'w' | 'b' (exclusive), 'n'
+  // (neutral) or null, and exits lists the squares a jump from there can reach (in layout order).
+  // exitMask holds each portal's exits as a square mask at exitMask[2 * sq] (see maskHas), and
+  // entries[sq] lists the portals with an exit on `sq`, for attack detection.
+  const owner = new Array(128).fill(null);
+  for (const sq of white) owner[sqToIndex(sq)] = 'w';
+  for (const sq of black) owner[sqToIndex(sq)] = 'b';
+  for (const sq of neutralPairs.flat()) owner[sqToIndex(sq)] = 'n';
+  const exitIdx = owner.map((o, i) => Object.freeze(o ? exits[indexToSq(i)].map(sqToIndex) : []));
+  const exitMask = new Uint32Array(256);
+  exitIdx.forEach((list, sq) => {
+    for (const exit of list) exitMask[2 * sq + (sq64(exit) >> 5)] |= 1 << (sq64(exit) & 31);
+  });
+  const allIdx = all.map(sqToIndex);
+  const entries = owner.map((_, sq) => Object.freeze(allIdx.filter(p => p !== sq && maskHas(exitMask, 2 * p, sq))));
+
+  return Object.freeze({
+    white: buildSet(white),
+    black: buildSet(black),
+    neutralPairs: Object.freeze(neutralPairs.map(pair => Object.freeze(pair))),
+    // Derived arrays for consumers that want indices/exits
+    // (rank * 8 + file numbering)
+    indices: Object.freeze({
+      white: Object.freeze(white.map(sq => sq64(sqToIndex(sq)))),
+      black: Object.freeze(black.map(sq => sq64(sqToIndex(sq)))),
+      neutralPairs: Object.freeze(neutralPairs.map(([a, b]) => [sq64(sqToIndex(a)), sq64(sqToIndex(b))])),
+    }),
+    exits: Object.freeze(exits),
+    byIndex: Object.freeze({
+      owner: Object.freeze(owner),
+      exits: Object.freeze(exitIdx),
+      exitMask,
+      entries: Object.freeze(entries),
+      all: Object.freeze(allIdx),
+    }),
+    layout: Object.freeze({ white, black, neutralPairs }),
+  });
+}
+const PORTALS = buildPortals(DEFAULT_PORTAL_LAYOUT);
+
+// The portal map a state plays with. States that lost their Sets in a JSON round-trip are
+// rebuilt from their plain `layout`; states without portals use the default layout.
+function portalsOf(state) {
+  const portals = state && state.portals;
+  if (!portals) return PORTALS;
+  if (portals.byIndex && portals.white && typeof portals.white.has === 'function') return portals;
+  return portals.layout ? buildPortals(portals.layout) : PORTALS;
+}
+
+// -------------------------
+// Rule variants
+// -------------------------
+// Each flag toggles one of the portal rules from the project brief:
+//   swap                    Rule 2: jumping onto an enemy-held exit swaps the pieces (off: such jumps are illegal)
+//   neutralCooldown         Rule 4: the victim of a neutral swap may not activate the neutral network next turn
+//   noReturn                Rule 5: a piece may not jump straight back to the personal portal it came from
+//   captureActivatesPortal  Rule 3 inverted: a capture landing on a portal may still jump (standard: false)
+//   kingUsesPortals         kings may move-jump and activate portals like any other piece
+export const VARIANTS = Object.freeze({
+  standard: Object.freeze({ name: 'standard', label: 'Standard', swap: true, neutralCooldown: true, noReturn: true, captureActivatesPortal: false, kingUsesPortals: true }),
+  'no-swap': Object.freeze({ name: 'no-swap', label: 'No swaps', swap: false, neutralCooldown: true, noReturn: true, captureActivatesPortal: false, kingUsesPortals: true }),
+  'no-cooldown': Object.freeze({ name: 'no-cooldown', label: 'No neutral cooldown', swap: true, neutralCooldown: false, noReturn: true, captureActivatesPortal: false, kingUsesPortals: true }),
+  'free-return': Object.freeze({ name: 'free-return', label: 'No "no return"', swap: true, neutralCooldown: true, noReturn: false, captureActivatesPortal: false, kingUsesPortals: true }),
+  'capture-jumps': Object.freeze({ name: 'capture-jumps', label: 'Captures activate portals', swap: true, neutralCooldown: true, noReturn: true, captureActivatesPortal: true, kingUsesPortals: true }),
+  'grounded-kings': Object.freeze({ name: 'grounded-kings', label: 'Kings cannot use portals', swap: true, neutralCooldown: true, noReturn: true, captureActivatesPortal: false, kingUsesPortals: false }),
 });
+const RULE_FLAGS = ['swap', 'neutralCooldown', 'noReturn', 'captureActivatesPortal', 'kingUsesPortals'];
+
+// Accepts a registered variant name or a flags object (missing flags default to standard).
+// Throws on unknown names or flags.
+export function resolveVariant(variant = 'standard') {
+  if (typeof variant === 'string') {
+    if (!VARIANTS[variant]) throw new Error(`Unknown rule variant: ${variant}`);
+    return VARIANTS[variant];
+  }
+  if (!variant || typeof variant !== 'object') throw new Error('Bad rule variant');
+  const out = { ...VARIANTS.standard, name: 'custom', label: 'Custom' };
+  for (const [k, v] of Object.entries(variant)) {
+    if (k === 'name' || k === 'label') { out[k] = String(v); continue; }
+    if (!RULE_FLAGS.includes(k)) throw new Error(`Unknown rule flag: ${k}`);
+    out[k] = !!v;
+  }
+  // a flags object identical to a registered variant is that variant
+  const known = Object.values(VARIANTS).find(v => RULE_FLAGS.every(k => v[k] === out[k]));
+  return known && (variant.name === undefined || variant.name === known.name) ? known : Object.freeze(out);
+}
 
-// Initial board setup
-function initialBoard() {
-  const board = new Array(64).fill(null);
-  const place = (sq, type, color) => board[sqToIndex(sq)] = { type, color, hasMoved: false };
+// The rule variant a state plays with (standard for states created before variants existed)
+function rulesOf(state) {
+  return (state && state.variant) || VARIANTS.standard;
+}
+
+// -------------------------
+// Handicap (odds) games
+// -------------------------
+// A handicap spec for initialState (all parts optional):
+//   remove         pieces taken off the start position: square names ('D1') or the FEN letter of a
+//                  piece that is alone of its kind and colour ('Q' = White's queen, 'q' = Black's)
+//   extraMoves     { w, b }: moves a side plays in a row before its opponent's first move (0-8)
+//   barredPortals  { w: [...], b: [...] }: networks ('exclusive', 'neutral') that side may not use
+//                  all game. Its pieces cross those portals like ordinary squares.
+// While a side still has extra moves it may not give check, since it would move again with
+// the enemy king attacked.
+export const HANDICAP_NETWORKS = ['exclusive', 'neutral'];
+const MAX_EXTRA_MOVES = 8;
+
+// Checks a handicap spec and returns it in canonical form (null when it changes nothing).
+// Throws `Bad handicap: ...`.
+export function resolveHandicap(spec) {
+  if (spec === undefined || spec === null) return null;
+  const bad = (msg) => new Error(`Bad handicap: ${msg}`);
+  if (typeof spec !== 'object' || Array.isArray(spec)) throw bad('expected { remove, extraMoves, barredPortals }');
+  for (const k of Object.keys(spec)) if (!['remove', 'extraMoves', 'barredPortals'].includes(k)) throw bad(`unknown field ${k}`);
+  if (!Array.isArray(spec.remove || [])) throw bad('remove must be a list');
+  const remove = (spec.remove || []).map(x => {
+    const item = String(x);
+    if (/^[a-h][1-8]$/i.test(item)) return item.toUpperCase();
+    if (/^[PNBRQpnbrq]$/.test(item)) return item;
+    throw bad(`cannot remove ${item}`);
+  });
+  const extraMoves = { w: 0, b: 0 };
+  for (const [c, n] of Object.entries(spec.extraMoves || {})) {
+    if (c !== 'w' && c !== 'b') throw bad(`extraMoves side ${c}`);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_EXTRA_MOVES) throw bad(`extraMoves.${c} must be 0-${MAX_EXTRA_MOVES}`);
+    extraMoves[c] = n;
+  }
+  const barredPortals = { w: [], b: [] };
+  for (const [c, list] of Object.entries(spec.barredPortals || {})) {
+    if (c !== 'w' && c !== 'b') throw bad(`barredPortals side ${c}`);
+    if (!Array.isArray(list) || !list.every(n => HANDICAP_NETWORKS.includes(n))) throw bad(`barredPortals.${c} must list ${HANDICAP_NETWORKS.join('/')}`);
+    barredPortals[c] = HANDICAP_NETWORKS.filter(n => list.includes(n));
+  }
+  if (!remove.length && !extraMoves.w && !extraMoves.b && !barredPortals.w.length && !barredPortals.b.length) return null;
+  return Object.freeze({ remove, extraMoves, barredPortals });
+}
+
+// Take the handicap's pieces off a start board (hasMoved flags untouched)
+function removeHandicapPieces(board, handicap) {
+  for (const item of handicap.remove) {
+    let idx;
+    if (SQ_LOOKUP.has(item)) {
+      idx = sqToIndex(item);
+    } else {
+      const wanted = pieceCode(item.toUpperCase(), item === item.toUpperCase() ? 'w' : 'b');
+      const hits = BOARD_SQUARES.filter(sq => (board[sq] & PIECE_MASK) === wanted);
+      if (hits.length !== 1) throw new Error(`Bad handicap: ${hits.length ? 'more than one' : 'no'} ${item} to remove, name its square`);
+      idx = hits[0];
+    }
+    if (!board[idx]) throw new Error(`Bad handicap: no piece on ${indexToSq(idx)} to remove`);
+    if ((board[idx] & TYPE_MASK) === KING) throw new Error('Bad handicap: kings cannot be removed');
+    board[idx] = 0;
+  }
+}
+
+// Whether a handicap bars `color` from portal network `network` ('exclusive' | 'neutral')
+function portalBarred(state, color, network) {
+  const h = state.handicap;
+  return !!(h && h.barredPortals[color].includes(network));
+}
+
+// Initial board setup. `backRank` lists the pieces from the a-file to the h-file; black mirrors white.
+function initialBoard(backRank = 'RNBQKBNR') {
+  const board = new Array(128).fill(0);
+  const place = (sq, type, color) => board[sqToIndex(sq)] = pieceCode(type, color, false);
 
   // Pawns
   for (let f of FILES) { place(`${f}2`, 'P', 'w'); place(`${f}7`, 'P', 'b'); }
-  // Rooks
-  place("A1",'R','w'); place("H1",'R','w'); place("A8",'R','b'); place("H8",'R','b');
-  // Knights
-  place("B1",'N','w'); place("G1",'N','w'); place("B8",'N','b'); place("G8",'N','b');
-  // Bishops
-  place("C1",'B','w'); place("F1",'B','w'); place("C8",'B','b'); place("F8",'B','b');
-  // Queens
-  place("D1",'Q','w'); place("D8",'Q','b');
-  // Kings
-  place("E1",'K','w'); place("E8",'K','b');
+  // Pieces
+  FILES.forEach((f, i) => { place(`${f}1`, backRank[i], 'w'); place(`${f}8`, backRank[i], 'b'); });
 
   return board;
 }
 
-export function initialState() {
-  return {
-    board: initialBoard(),
+// Knight placements on the five squares left after the bishops and queen, by Chess960 number / 96
+const CHESS960_KNIGHTS = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+
+// Back rank of Chess960 start number `n` (0-959, Scharnagl numbering; 518 is the standard
+// RNBQKBNR) as piece letters from the a-file to the h-file. Bishops stand on opposite colours
+// and the king between the rooks, so castling works on both sides.
+export function chess960BackRank(n) {
+  if (!Number.isInteger(n) || n < 0 || n > 959) throw new Error(`Unknown start position: Chess960 number ${n}`);
+  const rank = new Array(8).fill(null);
+  const free = () => rank.flatMap((p, f) => (p ? [] : [f]));
+  rank[(n % 4) * 2 + 1] = 'B'; n = Math.floor(n / 4);
+  rank[(n % 4) * 2] = 'B'; n = Math.floor(n / 4);
+  rank[free()[n % 6]] = 'Q'; n = Math.floor(n / 6);
+  const rest = free();
+  for (const k of CHESS960_KNIGHTS[n]) rank[rest[k]] = 'N';
+  const [r1, king, r2] = free();
+  rank[r1] = 'R'; rank[king] = 'K'; rank[r2] = 'R';
+  return rank.join('');
+}
+
+// options.layout: portal layout in the DEFAULT_PORTAL_LAYOUT shape (defaults to the standard one)
+// options.variant: rule variant name from VARIANTS or a flags object (defaults to 'standard')
+// options.start: 'standard' (default), 'chess960' for a random shuffled back rank, or a Chess960
+//   start number (see chess960BackRank). A shuffled start is kept in startPFEN so game records
+//   replay from it.
+// options.handicap: odds for one or both sides (see resolveHandicap); its pieces come off the
+//   board before the game starts, which is also kept in startPFEN.
+export function initialState(options = {}) {
+  let start = options.start === undefined || options.start === 'standard' ? null : options.start;
+  if (start === 'chess960') start = Math.floor(Math.random() * 960);
+  if (start !== null && !Number.isInteger(start)) throw new Error(`Unknown start position: ${start}`);
+  const handicap = resolveHandicap(options.handicap);
+  const state = {
+    board: initialBoard(start === null ? undefined : chess960BackRank(start)),
     turn: 'w',
     moveNumber: 1,
     enPassantTarget: null,
     castleRights: { K: true, Q: true, k: true, q: true },
     halfmoveClock: 0,
-    portals: PORTALS,
+    portals: options.layout ? buildPortals(options.layout) : PORTALS,
+    variant: resolveVariant(options.variant),
     // NEW: neutral swap cooldown flags for each player.
     // If true for a color, that color may NOT use the neutral portal network on their next turn.
     neutralSwapCooldown: { w: false, b: false },
@@ -84,6 +344,19 @@ export function initialState() {
     personalNoReturn: { w: {}, b: {} },
     history: [],
   };
+  if (handicap) {
+    removeHandicapPieces(state.board, handicap);
+    // a removed rook takes its castling right along
+    const rooks = castlingRooks(state);
+    state.castleRights = Object.fromEntries(CASTLE_FLAGS.map(k => [k, rooks[k] >= 0]));
+    state.handicap = handicap;
+    state.extraMoves = { ...handicap.extraMoves };
+  }
+  if (start !== null || handicap) state.startPFEN = toPFEN(state);
+  // Repetition tracking: one hashKey (the Zobrist key) per position reached, starting with this one
+  state.zobrist = computeZobrist(state);
+  state.positionHistory = [hashKey(state)];
+  return state;
 }
 
 // basic helpers
@@ -95,227 +368,376 @@ export function pieceToGlyph(p) {
   };
   return map[p.color][p.type];
 }
-function pieceAt(state, sq) { return state.board[sqToIndex(sq)]; }
-function setPiece(state, sq, pieceOrNull) { state.board[sqToIndex(sq)] = pieceOrNull; }
+// The piece on square `sq` ('E4' or 'e4') as { type, color, hasMoved }, or null
+export function pieceAt(state, sq) { return PIECE_VIEWS[state.board[sqToIndex(sq)]]; }
+
+// En passant helpers: `enPassantTarget` is the square a pawn skipped with its double step;
+// the pawn that may be captured sits one rank further along its direction of travel.
+function enPassantVictimSq(targetSqRaw) {
+  const sq = targetSqRaw.toUpperCase();
+  if (sq[1] === '3') return `${sq[0]}4`;
+  if (sq[1] === '6') return `${sq[0]}5`;
+  return null;
+}
 
-// Portal helpers that accept engine's PORTALS
-function isPortalFor(color, sqRaw) {
-  const sq = sqRaw.toUpperCase();
-  if (PORTALS.white.has(sq)) return color === 'w' ? 'exclusive' : null;
-  if (PORTALS.black.has(sq)) return color === 'b' ? 'exclusive' : null;
-  for (const [a,b] of PORTALS.neutralPairs) {
-    if (sq === a || sq === b) return 'neutral';
+// True when the side to move has a pawn placed to capture en passant on `enPassantTarget`
+function enPassantCapturable(state) {
+  if (!state.enPassantTarget) return false;
+  const ep = sqToIndex(state.enPassantTarget);
+  const rank = ep >> 4;
+  if (rank !== 2 && rank !== 5) return false;
+  const board = state.board;
+  const own = colorBit(state.turn);
+  const victim = ep + (rank === 2 ? 16 : -16);
+  if ((board[victim] & TYPE_MASK) !== PAWN || (board[victim] & BLACK) === own) return false;
+  for (const sq of [victim - 1, victim + 1]) {
+    if (!(sq & 0x88) && (board[sq] & PIECE_MASK) === (PAWN | own)) return true;
   }
-  return null;
+  return false;
 }
-function neutralMate(sqRaw) {
-  const sq = sqRaw.toUpperCase();
-  for (const [a,b] of PORTALS.neutralPairs) {
-    if (sq === a) return b;
-    if (sq === b) return a;
+
+// -------------------------
+// Position identity (repetition detection)
+// -------------------------
+// Two positions are the same when the pieces, side to move, castling rights, a usable en passant
+// capture, all portal rule state (neutral cooldowns, pending and active no-return mappings) and
+// the handicap extra moves still to play match. `hasMoved` flags are deliberately ignored; castling rights carry that information.
+// This readable key is the reference; the engine itself compares the Zobrist hashes below.
+export function positionKey(state) {
+  let out = '';
+  for (const sq of BOARD_SQUARES) {
+    const p = state.board[sq];
+    out += p ? (p & BLACK ? pieceType(p).toLowerCase() : pieceType(p)) : '.';
   }
-  return null;
+  const cr = state.castleRights || {};
+  const castle = ['K', 'Q', 'k', 'q'].filter(k => cr[k]).join('') || '-';
+  const ep = enPassantCapturable(state) ? state.enPassantTarget.toUpperCase() : '-';
+  const cd = state.neutralSwapCooldown || {};
+  const noReturn = (maps) => ['w', 'b'].map(c => Object.entries((maps && maps[c]) || {})
+    .map(([land, origin]) => `${land}>${origin}`).sort().join(',')).join('/');
+  const ex = state.extraMoves || {};
+  return [out, state.turn, castle, ep, `${cd.w ? 1 : 0}${cd.b ? 1 : 0}`,
+    noReturn(state.personalNoReturn), noReturn(state.pendingPersonalNoReturn), `${ex.w || 0}${ex.b || 0}`].join('|');
+}
+
+// -------------------------
+// Zobrist hashing
+// -------------------------
+// A 64-bit hash of everything positionKey covers, kept as two unsigned 32-bit halves in
+// `state.zobrist = [hi, lo]` (plain numbers, so states still survive JSON and structuredClone).
+// initialState/fromPFEN compute it once and makeMove/unmakeMove update it incrementally.
+// The portal layout and rule variant are folded into every key, so positions from different
+// boards or rules never share transposition-table entries.
+const Z = (() => {
+  // mulberry32 with a fixed seed: the tables must be identical on server and clients
+  let seed = 0x9e3779b9;
+  const next = () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+  const table = (n) => { const a = new Uint32Array(n * 2); for (let i = 0; i < a.length; i++) a[i] = next(); return a; };
+  return {
+    piece: table(12 * 64),             // [piece kind][square]
+    side: table(1),                    // black to move
+    castle: table(4),                  // K Q k q
+    ep: table(8),                      // file of a capturable en passant target
+    cooldown: table(2),                // neutralSwapCooldown w, b
+    noReturn: table(2 * 2 * 64 * 64),  // [active | pending][color][landing][origin]
+    extra: table(2 * (MAX_EXTRA_MOVES + 1)), // [color][handicap extra moves left]
+  };
+})();
+const CASTLE_FLAGS = ['K', 'Q', 'k', 'q'];
+
+// XOR entry `i` of table `t` into the [hi, lo] accumulator `h`
+function zx(h, t, i) {
+  h[0] = (h[0] ^ t[2 * i]) >>> 0;
+  h[1] = (h[1] ^ t[2 * i + 1]) >>> 0;
+}
+// piece kinds P N B R Q K count 0-5 for White and 6-11 for Black; `sq` is a 0x88 square
+function zPiece(h, p, sq) {
+  if (p) zx(h, Z.piece, ((p & TYPE_MASK) - 1 + (p & BLACK ? 6 : 0)) * 64 + sq64(sq));
+}
+function zNoReturn(h, maps, which) {
+  for (const [ci, c] of [[0, 'w'], [1, 'b']]) {
+    for (const [land, origin] of Object.entries((maps && maps[c]) || {})) {
+      zx(h, Z.noReturn, ((which * 2 + ci) * 64 + sq64(sqToIndex(land))) * 64 + sq64(sqToIndex(origin)));
+    }
+  }
+}
+function zEnPassant(h, state) {
+  if (enPassantCapturable(state)) zx(h, Z.ep, sqToIndex(state.enPassantTarget) % 8);
+}
+function zExtraMoves(h, extra) {
+  if (extra && extra.w) zx(h, Z.extra, extra.w);
+  if (extra && extra.b) zx(h, Z.extra, MAX_EXTRA_MOVES + 1 + extra.b);
+}
+
+// FNV-1a of the layout tag, rule flags and barred portal networks, so each board/rules
+// combination hashes apart
+function zGameSeed(state) {
+  const portals = portalsOf(state);
+  const rules = rulesOf(state);
+  const h = state.handicap;
+  const barred = h && (h.barredPortals.w.length || h.barredPortals.b.length) ? `|${h.barredPortals.w}/${h.barredPortals.b}` : '';
+  const text = `${portalLayoutTag(portals)}|${RULE_FLAGS.map(k => (rules[k] ? 1 : 0)).join('')}${barred}`;
+  let a = 0x811c9dc5, b = 0x01000193;
+  for (let i = 0; i < text.length; i++) {
+    a = Math.imul(a ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    b = Math.imul(b ^ text.charCodeAt(i), 0x811c9dc5) >>> 0;
+  }
+  return [a, b];
+}
+
+// Full (non-incremental) hash of a state
+export function computeZobrist(state) {
+  const h = zGameSeed(state);
+  for (const sq of BOARD_SQUARES) zPiece(h, state.board[sq], sq);
+  if (state.turn === 'b') zx(h, Z.side, 0);
+  const cr = state.castleRights || {};
+  CASTLE_FLAGS.forEach((k, i) => { if (cr[k]) zx(h, Z.castle, i); });
+  zEnPassant(h, state);
+  const cd = state.neutralSwapCooldown || {};
+  if (cd.w) zx(h, Z.cooldown, 0);
+  if (cd.b) zx(h, Z.cooldown, 1);
+  zNoReturn(h, state.personalNoReturn, 0);
+  zNoReturn(h, state.pendingPersonalNoReturn, 1);
+  zExtraMoves(h, state.extraMoves);
+  return h;
+}
+
+// The state's hash as a 16-digit hex string (computed on the spot for states without one)
+export function hashKey(state) {
+  const [hi, lo] = state.zobrist || computeZobrist(state);
+  return hi.toString(16).padStart(8, '0') + lo.toString(16).padStart(8, '0');
+}
+
+// Append the key of a freshly applied position to its repetition history
+function recordPosition(next) {
+  next.positionHistory = next.positionHistory || [];
+  next.positionHistory.push(hashKey(next));
+}
+
+// Portal helpers that read the state's portal map
+function isPortalFor(state, color, sqRaw) {
+  return portalTypeAt(portalsOf(state), color, sqToIndex(sqRaw));
+}
+function neutralMate(state, sqRaw) {
+  const portals = portalsOf(state);
+  const i = sqToIndex(sqRaw);
+  return portals.byIndex.owner[i] === 'n' ? indexToSq(portals.byIndex.exits[i][0]) : null;
+}
+// Index form of isPortalFor on an already resolved portal map
+function portalTypeAt(portals, color, i) {
+  const owner = portals.byIndex.owner[i];
+  if (owner === 'n') return 'neutral';
+  return owner && owner === color ? 'exclusive' : null;
+}
+// portalTypeAt for the pieces of `color`, or null when a handicap bars them from that network
+function usablePortalAt(state, portals, color, i) {
+  const type = portalTypeAt(portals, color, i);
+  return type && state.handicap && portalBarred(state, color, type) ? null : type;
+}
+
+// Rule 6 (displaced pieces): a portal route never puts a pawn on rank 1 or 8. A jump from
+// `entry` to `exit` is not allowed when the jumping piece is a pawn and the exit is on a back
+// rank, nor when it swaps with an enemy pawn that would be thrown onto a back-rank entry.
+// Pawns therefore only reach the last rank by their normal move and promote as usual, and
+// never stand on their first rank. (Swaps never throw a king: that would be a capture of
+// the king, which check prevents. A thrown rook loses its castling right; see makeMove.)
+function isBackRank(i) { return i < 8 || i >= 112; }
+function portalRouteAllowed(board, mover, entry, exit) {
+  if ((mover & TYPE_MASK) === PAWN && isBackRank(exit)) return false;
+  const thrown = board[exit];
+  return !(thrown && (thrown & BLACK) !== (mover & BLACK) && (thrown & TYPE_MASK) === PAWN && isBackRank(entry));
 }
 
 // -------------------------
 // Attack detection (non-recursive)
 // -------------------------
-// Returns true if `attackerColor` attacks square `sq` in `state`.
-// This function deliberately avoids calling `generatePseudoLegalMoves` to
-// prevent recursion when used during king/castle legality checks.
-// It uses direct geometric checks for pawns/knights/kings/sliders and
-// additionally scans portal-resolved outcomes for non-king attackers so
-// that portal swaps which could capture the king are counted as attacks.
+// Returns true if `attackerColor` attacks square `sq` in `state`: with the attacker to move,
+// some pseudo-legal outcome could capture or swap away a piece of the other colour standing on
+// `sq` (for an empty square, as if such a piece stood there). That covers ordinary captures and
+// every portal route (Rules 1-5): a move onto a portal followed by a jump, or an activation of
+// the portal the attacker stands on, ending on `sq` with a swap. The attacker's neutral cooldown,
+// active no-return mappings and the rule variant are honoured exactly as in move generation.
+// For a king's square this is precisely "in check"; it never calls generatePseudoLegalMoves.
 export function isSquareAttacked(state, sqRaw, attackerColor) {
-  const target = sqRaw.toUpperCase();
-  const tf = FILES.indexOf(target[0]);
-  const tr = RANKS.indexOf(target[1]);
-  if (tf < 0 || tr < 0) return false;
+  let target;
+  // numbers count squares rank * 8 + file, as in the wire format
+  try { target = typeof sqRaw === 'number' ? sq88(sqRaw) : sqToIndex(sqRaw); } catch (e) { return false; }
+  if (target & 0x88 || target < 0) return false;
+  return scanAttacks(state, target, attackerColor, null);
+}
+
+// Explain why `color`'s king (default: the side to move) is in check. Returns
+// { inCheck, king, checkers } with one entry per attacking route:
+//   { from, piece, route, path, portal, blocks }
+// route is 'direct' (ordinary capture), 'portal-jump' (the piece lands on portal `portal.entry`
+// and jumps onto the king, swapping it away) or 'portal-activation' (the piece stands on the
+// portal and activates it). path lists the squares travelled from `from` to the king, including
+// both ends and the portal entry; portal is { entry, exit, network } or null. blocks are the
+// empty squares where interposing a piece stops that route (always empty for contact checks
+// and activations). A piece checking by more than one route appears once per route.
+export function explainCheck(state, color = state.turn) {
+  const king = kingSquare(state.board, color);
+  if (king < 0) return { inCheck: false, king: null, checkers: [] };
+  const checkers = [];
+  scanAttacks(state, king, color === 'w' ? 'b' : 'w', checkers);
+  return { inCheck: checkers.length > 0, king: indexToSq(king), checkers };
+}
+
+// Square of `color`'s king, or -1
+function kingSquare(board, color) {
+  const king = KING | colorBit(color);
+  for (const sq of BOARD_SQUARES) {
+    if ((board[sq] & PIECE_MASK) === king) return sq;
+  }
+  return -1;
+}
 
+// Squares strictly between two squares on a common line (empty when they are not on one)
+function squaresBetween(from, to) {
+  const step = LINE_STEP[to - from + 119];
+  const out = [];
+  if (!step) return out;
+  for (let sq = from + step; sq !== to; sq += step) out.push(sq);
+  return out;
+}
+
+// Shared body of isSquareAttacked and explainCheck. With `out` null it returns true at the
+// first attack found; otherwise it appends a description of every attack to `out` (see
+// explainCheck) and returns false.
+function scanAttacks(state, target, attackerColor, out) {
+  const board = state.board;
   const opponent = attackerColor;
+  const ob = colorBit(opponent);
+  const hit = (describe) => {
+    if (!out) return true;
+    const { from, route, via = [], blocks = [], portal = null } = describe();
+    out.push({
+      from: indexToSq(from),
+      piece: { type: pieceType(board[from]), color: pieceColor(board[from]) },
+      route,
+      path: [from, ...via, target].map(indexToSq),
+      portal,
+      blocks: blocks.map(indexToSq),
+    });
+    return false;
+  };
 
-  // Pawn attacks (direction depends on attacker color)
-  const pawnDir = opponent === 'w' ? 1 : -1;
-  for (const df of [-1, 1]) {
-    const f = tf + df, r = tr - pawnDir; // attacker pawn sits one rank behind target
-    if (f >= 0 && f < 8 && r >= 0 && r < 8) {
-      const sq = `${FILES[f]}${RANKS[r]}`;
-      const p = pieceAt(state, sq);
-      if (p && p.color === opponent && p.type === 'P') return true;
-    }
+  // Pawn attacks (direction depends on attacker color): the pawn sits one rank behind target
+  const pawnRank = target - (opponent === 'w' ? 16 : -16);
+  for (let df = -1; df <= 1; df += 2) {
+    const sq = pawnRank + df;
+    if (!(sq & 0x88) && (board[sq] & PIECE_MASK) === (PAWN | ob) && hit(() => ({ from: sq, route: 'direct' }))) return true;
   }
 
   // Knight attacks
-  const knightD = [[1,2],[2,1],[2,-1],[1,-2],[-1,-2],[-2,-1],[-2,1],[-1,2]];
-  for (const [df, dr] of knightD) {
-    const f = tf + df, r = tr + dr;
-    if (f >= 0 && f < 8 && r >= 0 && r < 8) {
-      const sq = `${FILES[f]}${RANKS[r]}`;
-      const p = pieceAt(state, sq);
-      if (p && p.color === opponent && p.type === 'N') return true;
-    }
+  for (const step of KNIGHT_STEPS) {
+    const sq = target + step;
+    if (!(sq & 0x88) && (board[sq] & PIECE_MASK) === (KNIGHT | ob) && hit(() => ({ from: sq, route: 'direct' }))) return true;
   }
 
   // King adjacency (opponent king attacking)
-  for (let df = -1; df <= 1; df++) for (let dr = -1; dr <= 1; dr++) {
-    if (df === 0 && dr === 0) continue;
-    const f = tf + df, r = tr + dr;
-    if (f >= 0 && f < 8 && r >= 0 && r < 8) {
-      const sq = `${FILES[f]}${RANKS[r]}`;
-      const p = pieceAt(state, sq);
-      if (p && p.color === opponent && p.type === 'K') return true;
-    }
+  for (const step of DIR_STEPS) {
+    const sq = target + step;
+    if (!(sq & 0x88) && (board[sq] & PIECE_MASK) === (KING | ob) && hit(() => ({ from: sq, route: 'direct' }))) return true;
   }
 
-  // Sliding pieces (rook/bishop/queen)
-  const rayDirs = {
-    rook: [[1,0],[-1,0],[0,1],[0,-1]],
-    bishop: [[1,1],[1,-1],[-1,1],[-1,-1]]
-  };
-  // rook/queen
-  for (const [df, dr] of rayDirs.rook) {
-    let f = tf + df, r = tr + dr;
-    while (f >= 0 && f < 8 && r >= 0 && r < 8) {
-      const sq = `${FILES[f]}${RANKS[r]}`;
-      const p = pieceAt(state, sq);
-      if (p) {
-        if (p.color === opponent && (p.type === 'R' || p.type === 'Q')) return true;
-        break;
+  // Sliding pieces: the first piece along each ray from the target
+  for (let d = 0; d < 8; d++) {
+    const step = DIR_STEPS[d];
+    const slider = d < 4 ? ROOK : BISHOP;
+    for (let sq = target + step; !(sq & 0x88); sq += step) {
+      const p = board[sq];
+      if (!p) continue;
+      if ((p & BLACK) === ob && ((p & TYPE_MASK) === QUEEN || (p & TYPE_MASK) === slider)) {
+        if (hit(() => { const between = squaresBetween(sq, target); return { from: sq, route: 'direct', via: between, blocks: between }; })) return true;
       }
-      f += df; r += dr;
-    }
-  }
-  // bishop/queen
-  for (const [df, dr] of rayDirs.bishop) {
-    let f = tf + df, r = tr + dr;
-    while (f >= 0 && f < 8 && r >= 0 && r < 8) {
-      const sq = `${FILES[f]}${RANKS[r]}`;
-      const p = pieceAt(state, sq);
-      if (p) {
-        if (p.color === opponent && (p.type === 'B' || p.type === 'Q')) return true;
-        break;
-      }
-      f += df; r += dr;
+      break;
     }
   }
 
-  // Portal scan: for each non-king attacker, see if any portal-resolved outcome can reach target
-  // Build list of portal squares to consider (union of all known portal squares)
-  const portalSquares = new Set([...PORTALS.white, ...PORTALS.black]);
-  for (const [a,b] of PORTALS.neutralPairs) { portalSquares.add(a); portalSquares.add(b); }
-
-  for (let i = 0; i < 64; i++) {
-    const p = state.board[i];
-    if (!p || p.color !== opponent) continue;
-    if (p.type === 'K') continue; // king portal-activation cannot produce a swap-capture for castling checks
-
-    const fromSq = `${FILES[i % 8]}${RANKS[Math.floor(i / 8)]}`;
-
-    // 1) If attacker sits on a portal, consider portal-activation base moves (to each network destination)
-    if (isPortalFor(p.color, fromSq)) {
-      // derive possible activation destinations similar to generatePseudoLegalMoves
-      const portalType = isPortalFor(p.color, fromSq);
-      if (portalType === 'exclusive') {
-        const network = p.color === 'w' ? PORTALS.white : PORTALS.black;
-        for (const dest of network) {
-          if (dest === fromSq) continue;
-          const bm = { from: fromSq, to: dest, kind: 'portal-activation' };
-          const outcomes = expandWithPortalOutcomes(state, bm);
-          for (const o of outcomes) if ((o.toFinal || o.to).toUpperCase() === target) return true;
-        }
-      } else if (portalType === 'neutral') {
-        const mate = neutralMate(fromSq);
-        if (mate) {
-          const bm = { from: fromSq, to: mate, kind: 'portal-activation' };
-          const outcomes = expandWithPortalOutcomes(state, bm);
-          for (const o of outcomes) if ((o.toFinal || o.to).toUpperCase() === target) return true;
-        }
+  // Portal routes. Every one of them ends with a swap (the target holds an enemy piece), so
+  // none exist when the variant disables swaps.
+  const rules = rulesOf(state);
+  if (!rules.swap) return false;
+  const portals = portalsOf(state);
+  const { owner, entries } = portals.byIndex;
+  // portals with an exit on the target, which the attacker may land on and jump from
+  if (entries[target].length === 0) return false;
+
+  const cooldown = rules.neutralCooldown && state.neutralSwapCooldown && state.neutralSwapCooldown[opponent];
+  const noReturn = (rules.noReturn && state.personalNoReturn && state.personalNoReturn[opponent]) || {};
+  const forward = opponent === 'w' ? 16 : -16;
+  const startRank = opponent === 'w' ? 1 : 6;
+  const finalRank = opponent === 'w' ? 7 : 0;
+  const ep = state.enPassantTarget ? sqToIndex(state.enPassantTarget) : -1;
+  const canJump = (p) => (p & BLACK) === ob && ((p & TYPE_MASK) !== KING || rules.kingUsesPortals);
+  const isPawn = (sq) => !(sq & 0x88) && (board[sq] & PIECE_MASK) === (PAWN | ob);
+
+  for (const entry of entries[target]) {
+    if ((owner[entry] !== 'n' && owner[entry] !== opponent) || !usablePortalAt(state, portals, opponent, entry)) continue;
+    const occupant = board[entry];
+    const portal = { entry: indexToSq(entry), exit: indexToSq(target), network: owner[entry] === 'n' ? 'neutral' : 'exclusive' };
+    // Rule 6: a pawn on the target may not be thrown back onto a back-rank entry
+    if ((board[target] & TYPE_MASK) === PAWN && isBackRank(entry)) continue;
+
+    // 1) Activation (Rule 1b): the attacker already stands on the entry portal
+    if (occupant && (occupant & BLACK) === ob) {
+      if ((occupant & TYPE_MASK) === KING && !rules.kingUsesPortals) continue;
+      if ((occupant & TYPE_MASK) === PAWN && isBackRank(target)) continue;
+      if (owner[entry] === 'n' ? !cooldown : noReturn[indexToSq(entry)] !== indexToSq(target)) {
+        if (hit(() => ({ from: entry, route: 'portal-activation', portal }))) return true;
       }
+      continue;
     }
 
-    // 2) For portal landing that an attacker could normally move onto, craft a base move to that portal square
-    // Check movement reachability for this piece to each portal square without calling generatePseudoLegalMoves
-    for (const destSq of portalSquares) {
-      const dest = destSq.toUpperCase();
-      const df = FILES.indexOf(dest[0]) - FILES.indexOf(fromSq[0]);
-      const dr = RANKS.indexOf(dest[1]) - RANKS.indexOf(fromSq[1]);
-      // Basic reach checks per piece type
-      let canReach = false;
-      switch (p.type) {
-        case 'N': {
-          const ok = [[1,2],[2,1],[2,-1],[1,-2],[-1,-2],[-2,-1],[-2,1],[-1,2]].some(([a,b]) => a === df && b === dr);
-          canReach = ok;
-          break;
-        }
-        case 'K': {
-          canReach = Math.abs(df) <= 1 && Math.abs(dr) <= 1;
-          break;
-        }
-        case 'P': {
-          const dir = p.color === 'w' ? 1 : -1;
-          // pawn captures diagonally
-          if (dr === dir && Math.abs(df) === 1) canReach = true;
-          // forward moves to portal won't capture - they could land on a portal square if empty
-          if (df === 0 && dr === dir) {
-            // ensure square is empty
-            if (!pieceAt(state, dest)) canReach = true;
-          }
-          break;
-        }
-        case 'B': {
-          if (Math.abs(df) === Math.abs(dr) && df !== 0) {
-            // ensure no blockers between
-            const stepF = df / Math.abs(df), stepR = dr / Math.abs(dr);
-            let f = FILES.indexOf(fromSq[0]) + stepF, r = RANKS.indexOf(fromSq[1]) + stepR;
-            let blocked = false;
-            while (`${FILES[f]}${RANKS[r]}` !== dest) {
-              if (pieceAt(state, `${FILES[f]}${RANKS[r]}`)) { blocked = true; break; }
-              f += stepF; r += stepR;
-            }
-            canReach = !blocked;
-          }
-          break;
-        }
-        case 'R': {
-          if ((df === 0 && dr !== 0) || (dr === 0 && df !== 0)) {
-            const stepF = df === 0 ? 0 : df / Math.abs(df);
-            const stepR = dr === 0 ? 0 : dr / Math.abs(dr);
-            let f = FILES.indexOf(fromSq[0]) + stepF, r = RANKS.indexOf(fromSq[1]) + stepR;
-            let blocked = false;
-            while (`${FILES[f]}${RANKS[r]}` !== dest) {
-              if (pieceAt(state, `${FILES[f]}${RANKS[r]}`)) { blocked = true; break; }
-              f += stepF; r += stepR;
-            }
-            canReach = !blocked;
-          }
-          break;
-        }
-        case 'Q': {
-          if ((Math.abs(df) === Math.abs(dr) && df !== 0) || (df === 0 && dr !== 0) || (dr === 0 && df !== 0)) {
-            const stepF = df === 0 ? 0 : df / Math.abs(df);
-            const stepR = dr === 0 ? 0 : dr / Math.abs(dr);
-            let f = FILES.indexOf(fromSq[0]) + stepF, r = RANKS.indexOf(fromSq[1]) + stepR;
-            let blocked = false;
-            while (`${FILES[f]}${RANKS[r]}` !== dest) {
-              if (pieceAt(state, `${FILES[f]}${RANKS[r]}`)) { blocked = true; break; }
-              f += stepF; r += stepR;
-            }
-            canReach = !blocked;
-          }
-          break;
+    // 2) Landing on the entry portal and jumping on. Plain moves need an empty portal;
+    //    captures (incl. en passant) only jump when the variant lets captures activate portals.
+    const capturing = !!occupant;
+    if (capturing && !rules.captureActivatesPortal) continue;
+    // a piece put on an empty entry stops pieces landing there unless captures jump as well
+    const entryBlocks = capturing || rules.captureActivatesPortal ? [] : [entry];
+    const jump = (from, via = [], blocks = []) => () => ({ from, route: 'portal-jump', via: [...via, entry], blocks, portal });
+
+    for (const step of KNIGHT_STEPS) {
+      const sq = entry + step;
+      if (!(sq & 0x88) && (board[sq] & TYPE_MASK) === KNIGHT && canJump(board[sq]) && hit(jump(sq, [], entryBlocks))) return true;
+    }
+    for (const step of DIR_STEPS) {
+      const sq = entry + step;
+      if (!(sq & 0x88) && (board[sq] & TYPE_MASK) === KING && canJump(board[sq]) && hit(jump(sq, [], entryBlocks))) return true;
+    }
+    for (let d = 0; d < 8; d++) {
+      const step = DIR_STEPS[d];
+      const slider = d < 4 ? ROOK : BISHOP;
+      for (let sq = entry + step; !(sq & 0x88); sq += step) {
+        const p = board[sq];
+        if (!p) continue;
+        if (canJump(p) && ((p & TYPE_MASK) === QUEEN || (p & TYPE_MASK) === slider)) {
+          if (hit(() => { const between = squaresBetween(sq, entry); return jump(sq, between, [...between, ...entryBlocks])(); })) return true;
         }
+        break;
       }
+    }
 
-      if (!canReach) continue;
-      // craft a base move and expand
-      const occupant = pieceAt(state, dest);
-      const kind = occupant && occupant.color !== p.color ? 'capture' : 'move';
-      const bm = { from: fromSq, to: dest, kind };
-      try {
-        const outcomes = expandWithPortalOutcomes(state, bm);
-        for (const o of outcomes) if ((o.toFinal || o.to).toUpperCase() === target) return true;
-      } catch (e) {
-        // ignore expansion error
+    // Pawns: forward onto an empty portal, diagonally when capturing (incl. en passant onto it).
+    // Moves onto the last rank are promotions, which never branch into portal outcomes, and
+    // pawns never jump onto a back rank (Rule 6).
+    if ((entry >> 4) === finalRank || isBackRank(target)) continue;
+    if (!capturing) {
+      if (isPawn(entry - forward) && hit(jump(entry - forward, [], [entry]))) return true;
+      const from2 = entry - 2 * forward;
+      if (isPawn(from2) && (from2 >> 4) === startRank && !board[entry - forward] && entry - forward !== target
+        && hit(jump(from2, [entry - forward], [entry - forward, entry]))) return true;
+    }
+    if (capturing || (entry === ep && rules.captureActivatesPortal)) {
+      if (!capturing && !enPassantCapturable({ ...state, turn: opponent })) continue;
+      for (let df = -1; df <= 1; df += 2) {
+        if (isPawn(entry - forward + df) && hit(jump(entry - forward + df))) return true;
       }
     }
   }
@@ -323,188 +745,200 @@ export function isSquareAttacked(state, sqRaw, attackerColor) {
   return false;
 }
 
-// Move generation (basic): knights, bishops, rooks, queens, king, pawns (no castling/ep/promo)
+// -------------------------
+// Castling
+// -------------------------
+// Castling follows the Chess960 rules, which include the standard start as one case. O-O
+// (right K/k) puts the king on the g-file and the rook on the f-file; O-O-O (right Q/q) puts
+// the king on the c-file and the rook on the d-file. The castling rook is the outermost unmoved
+// rook on that side of the unmoved king on its back rank. In PFEN a right is written K/Q/k/q, or
+// as the rook's file (X-FEN) when another rook of that colour stands further out.
+
+// Index of `color`'s king on its back rank, or -1
+function homeKing(board, color) {
+  const base = color === 'w' ? 0 : 112;
+  const king = KING | colorBit(color);
+  for (let i = base; i < base + 8; i++) {
+    if ((board[i] & PIECE_MASK) === king) return i;
+  }
+  return -1;
+}
+
+// Index of the first rook of `color` met walking from the board edge on `side` ('K' = h-file,
+// 'Q' = a-file) towards `king` on the same rank, only counting unmoved rooks when `unmoved`; or -1
+function outermostRook(board, color, side, king, unmoved) {
+  const step = side === 'K' ? -1 : 1;
+  const rook = ROOK | colorBit(color);
+  for (let i = side === 'K' ? (king | 7) : (king & ~7); i !== king; i += step) {
+    if ((board[i] & PIECE_MASK) === rook && (!unmoved || !(board[i] & MOVED))) return i;
+  }
+  return -1;
+}
+
+// Index of the rook `color` castles with on `side`, or -1 (the right itself is not checked)
+function castlingRook(board, color, side) {
+  const king = homeKing(board, color);
+  return king < 0 || board[king] & MOVED ? -1 : outermostRook(board, color, side, king, true);
+}
+
+// { K, Q, k, q } -> index of the castling rook for every right held (-1 otherwise)
+function castlingRooks(state) {
+  const cr = state.castleRights || {};
+  const out = {};
+  for (const k of CASTLE_FLAGS) out[k] = cr[k] ? castlingRook(state.board, k === 'K' || k === 'Q' ? 'w' : 'b', k.toUpperCase()) : -1;
+  return out;
+}
+
+// Move generation (basic): knights, bishops, rooks, queens, king (incl. castling), pawns (incl. en passant/promo)
 export function generatePseudoLegalMoves(state, fromSqRaw) {
-  const fromSq = fromSqRaw.toUpperCase();
-  const p = pieceAt(state, fromSq);
-  if (!p || p.color !== state.turn) return [];
+  const from = sqToIndex(fromSqRaw);
+  const fromSq = indexToSq(from);
+  const board = state.board;
+  const p = board[from];
+  if (!p || pieceColor(p) !== state.turn) return [];
+  const own = p & BLACK;
 
   const out = [];
-  const add = (toRaw, kind="move") => {
-    const to = toRaw.toUpperCase();
-    const tf = FILES.indexOf(to[0]);
-    const tr = RANKS.indexOf(to[1]);
-    if (tf < 0 || tr < 0) return;
-    const tgt = pieceAt(state, to);
-    let k = kind;
-    if (tgt && tgt.color === p.color) return;
-    if (tgt && tgt.color !== p.color && k === "move") k = "capture";
-    out.push({ from: fromSq, to, kind: k });
+  const add = (to, kind = "move") => {
+    const tgt = board[to];
+    if (tgt && (tgt & BLACK) === own) return;
+    out.push({ from: fromSq, to: indexToSq(to), kind: tgt && kind === "move" ? "capture" : kind });
   };
 
-  const f0 = FILES.indexOf(fromSq[0]), r0 = RANKS.indexOf(fromSq[1]);
-
-  const addRays = (deltas) => {
-    for (const [df, dr] of deltas) {
-      let f = f0 + df, r = r0 + dr;
-      while (f >= 0 && f < 8 && r >= 0 && r < 8) {
-        const s = `${FILES[f]}${RANKS[r]}`;
-        const tgt = pieceAt(state, s);
+  const addSteps = (steps) => {
+    for (const step of steps) if (!((from + step) & 0x88)) add(from + step);
+  };
+  const addRays = (steps) => {
+    for (const step of steps) {
+      for (let to = from + step; !(to & 0x88); to += step) {
+        const tgt = board[to];
         if (!tgt) {
-          add(s, "move");
+          add(to, "move");
         } else {
-          if (tgt.color !== p.color) add(s, "capture");
+          if ((tgt & BLACK) !== own) add(to, "capture");
           break;
         }
-        f += df; r += dr;
       }
     }
   };
 
-  switch (p.type) {
-    case 'N': {
-      const deltas = [[1,2],[2,1],[2,-1],[1,-2],[-1,-2],[-2,-1],[-2,1],[-1,2]];
-      for (const [df, dr] of deltas) {
-        const f = f0 + df, r = r0 + dr;
-        if (f>=0 && f<8 && r>=0 && r<8) add(`${FILES[f]}${RANKS[r]}`);
-      }
-      break;
-    }
-    case 'B': addRays([[1,1],[1,-1],[-1,1],[-1,-1]]); break;
-    case 'R': addRays([[1,0],[-1,0],[0,1],[0,-1]]); break;
-    case 'Q': addRays([[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]]); break;
-    case 'K': {
-      const deltas = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]];
-      for (const [df, dr] of deltas) {
-        const f = f0 + df, r = r0 + dr;
-        if (f>=0 && f<8 && r>=0 && r<8) add(`${FILES[f]}${RANKS[r]}`);
-      }
+  switch (p & TYPE_MASK) {
+    case KNIGHT: addSteps(KNIGHT_STEPS); break;
+    case BISHOP: addRays(BISHOP_STEPS); break;
+    case ROOK: addRays(ROOK_STEPS); break;
+    case QUEEN: addRays(QUEEN_STEPS); break;
+    case KING: {
+      addSteps(DIR_STEPS);
       // ---- Castling (pseudo-legal) ----
-      // Conditions enforced here:
-      // - king and rook haven't moved (and castleRights permit),
-      // - squares between are empty,
-      // - king not currently in check,
-      // - origin, via, and destination squares are not attacked by opponent.
+      // Conditions enforced here (see Castling above):
+      // - the right is held and king and castling rook haven't moved,
+      // - every square either piece crosses or lands on is empty apart from the two of them,
+      // - the king does not start on, pass or land on a square attacked by the opponent.
       try {
-        if (!p.hasMoved) {
-          const color = p.color;
-          const opp = color === 'w' ? 'b' : 'w';
-          const rank = color === 'w' ? '1' : '8';
-          const origin = fromSq.toUpperCase();
-
-          // Kingside
-          const ksRight = color === 'w' ? state.castleRights && state.castleRights.K : state.castleRights && state.castleRights.k;
-          if (ksRight) {
-            const fSq = `F${rank}`;
-            const gSq = `G${rank}`;
-            const rookSq = `H${rank}`;
-            const rook = pieceAt(state, rookSq);
-            if (!pieceAt(state, fSq) && !pieceAt(state, gSq) && rook && rook.type === 'R' && rook.color === color && !rook.hasMoved) {
-              if (!isSquareAttacked(state, origin, opp) && !isSquareAttacked(state, fSq, opp) && !isSquareAttacked(state, gSq, opp)) {
-                out.push({ from: fromSq, to: gSq, kind: 'castle', meta: { castle: 'K' } });
-              }
-            }
+        const color = pieceColor(p);
+        const opp = color === 'w' ? 'b' : 'w';
+        const cr = state.castleRights || {};
+        for (const side of ['K', 'Q']) {
+          if (!cr[color === 'w' ? side : side.toLowerCase()]) continue;
+          const rook = castlingRook(board, color, side);
+          if (rook < 0 || (rook & ~7) !== (from & ~7)) continue;
+          const kingTo = (from & ~7) + (side === 'K' ? 6 : 2);
+          const rookTo = (from & ~7) + (side === 'K' ? 5 : 3);
+          let ok = true;
+          for (let i = Math.min(from, rook, kingTo, rookTo); ok && i <= Math.max(from, rook, kingTo, rookTo); i++) {
+            if (board[i] && i !== from && i !== rook) ok = false;
           }
-
-          // Queenside
-          const qsRight = color === 'w' ? state.castleRights && state.castleRights.Q : state.castleRights && state.castleRights.q;
-          if (qsRight) {
-            const bSq = `B${rank}`;
-            const cSq = `C${rank}`;
-            const dSq = `D${rank}`;
-            const rookSq = `A${rank}`;
-            const rook = pieceAt(state, rookSq);
-            // require b,c,d empty (conservative as requested)
-            if (!pieceAt(state, bSq) && !pieceAt(state, cSq) && !pieceAt(state, dSq) && rook && rook.type === 'R' && rook.color === color && !rook.hasMoved) {
-              // origin (E), via (D), dest (C) must not be attacked
-              const viaSq = dSq;
-              const destSq = cSq;
-              if (!isSquareAttacked(state, origin, opp) && !isSquareAttacked(state, viaSq, opp) && !isSquareAttacked(state, destSq, opp)) {
-                out.push({ from: fromSq, to: destSq, kind: 'castle', meta: { castle: 'Q' } });
-              }
-            }
+          for (let i = Math.min(from, kingTo); ok && i <= Math.max(from, kingTo); i++) {
+            if (scanAttacks(state, i, opp, null)) ok = false;
           }
+          if (ok) out.push({ from: fromSq, to: indexToSq(kingTo), kind: 'castle', meta: { castle: side, rook: indexToSq(rook) } });
         }
       } catch (e) {
         // if attack checks fail for any reason, don't add castle moves
       }
       break;
     }
-    case 'P': {
-      const dir = p.color === 'w' ? 1 : -1;
-      const startRank = p.color === 'w' ? 1 : 6;
-      const finalRank = p.color === 'w' ? 7 : 0;
+    case PAWN: {
+      const dir = own ? -1 : 1;
+      const startRank = own ? 6 : 1;
+      const finalRank = own ? 0 : 7;
+      const r0 = from >> 4;
       const r1 = r0 + dir;
+      const promoteTo = (to) => ['Q','R','B','N'].forEach(pt => out.push({ from: fromSq, to: indexToSq(to), kind: 'promotion', meta: { promo: pt } }));
       // Forward one
       if (r1 >= 0 && r1 < 8) {
-        const one = `${FILES[f0]}${RANKS[r1]}`;
+        const one = from + 16 * dir;
         // If this forward move lands on the final rank, generate promotion pseudo-moves
-        if (!pieceAt(state, one)) {
+        if (!board[one]) {
           if (r1 === finalRank) {
             // Generate one pseudo-move per promotion type. These are of kind 'promotion'
             // and carry meta.promo so the UI/expander can resolve them immediately.
-            ['Q','R','B','N'].forEach(pt => out.push({ from: fromSq, to: one, kind: 'promotion', meta: { promo: pt } }));
+            promoteTo(one);
           } else {
             add(one, "move");
-            const r2 = r0 + 2*dir;
-            if (r0 === startRank && r2 >= 0 && r2 < 8) {
-              const two = `${FILES[f0]}${RANKS[r2]}`;
-              if (!pieceAt(state, two)) add(two, "move");
-            }
+            const two = from + 32 * dir;
+            if (r0 === startRank && !board[two]) add(two, "move");
           }
         }
       }
 
       // Captures (including promotion-captures when landing on final rank)
-      for (const df of [-1, 1]) {
-        const f = f0 + df, r = r0 + dir;
-        if (f>=0 && f<8 && r>=0 && r<8) {
-          const diag = `${FILES[f]}${RANKS[r]}`;
-          const tgt = pieceAt(state, diag);
-          if (tgt && tgt.color !== p.color) {
-            if (r === finalRank) {
-              // capture that lands on final rank -> promotions
-              ['Q','R','B','N'].forEach(pt => out.push({ from: fromSq, to: diag, kind: 'promotion', meta: { promo: pt } }));
-            } else {
-              add(diag, "capture");
-            }
+      if (r1 >= 0 && r1 < 8) {
+        for (const df of [-1, 1]) {
+          const diag = from + 16 * dir + df;
+          if (diag & 0x88) continue;
+          const tgt = board[diag];
+          if (tgt && (tgt & BLACK) !== own) {
+            // capture that lands on final rank -> promotions
+            if (r1 === finalRank) promoteTo(diag);
+            else add(diag, "capture");
           }
         }
       }
+
+      // En passant: capture onto the skipped square, removing the passed pawn beside us
+      const ep = state.enPassantTarget ? sqToIndex(state.enPassantTarget) : -1;
+      if (ep >= 0 && (ep >> 4) === r1 && Math.abs((ep & 7) - (from & 7)) === 1 && !board[ep]) {
+        const victimSq = enPassantVictimSq(indexToSq(ep));
+        const victim = victimSq ? board[sqToIndex(victimSq)] : 0;
+        if ((victim & TYPE_MASK) === PAWN && (victim & BLACK) !== own) {
+          out.push({ from: fromSq, to: indexToSq(ep), kind: 'enpassant', meta: { captured: victimSq } });
+        }
+      }
       break;
     }
   }
 
   // ---- Portal-activation moves when the piece starts on a portal ----
-  const portalType = isPortalFor(p.color, fromSq); // 'exclusive' | 'neutral' | null
+  const rules = rulesOf(state);
+  const portals = portalsOf(state);
+  const color = pieceColor(p);
+  const portalType = ((p & TYPE_MASK) !== KING || rules.kingUsesPortals) ? usablePortalAt(state, portals, color, from) : null; // 'exclusive' | 'neutral' | null
   if (portalType === 'exclusive') {
     // For exclusive networks, allow teleport to any other portal in the same network
-    const network = p.color === 'w' ? PORTALS.white : PORTALS.black;
-    for (const dest of network) {
-      if (dest === fromSq) continue;
-      const occupant = pieceAt(state, dest);
-      if (occupant && occupant.color === p.color) continue; // cannot jump onto own piece
+    for (const destIdx of portals.byIndex.exits[from]) {
+      const dest = indexToSq(destIdx);
+      const occupant = board[destIdx];
+      if (occupant && (occupant & BLACK) === own) continue; // cannot jump onto own piece
+      if (occupant && !rules.swap) continue; // swaps disabled by the variant
       // Respect personal portal "no-return" restriction: if this piece (on `fromSq`) has an
       // active personalNoReturn mapping, it may not jump back to the origin it came from for this turn.
-      const forbidden = (state.personalNoReturn && state.personalNoReturn[p.color]) ? state.personalNoReturn[p.color][fromSq] : undefined;
+      const forbidden = (rules.noReturn && state.personalNoReturn && state.personalNoReturn[color]) ? state.personalNoReturn[color][fromSq] : undefined;
       if (forbidden && forbidden === dest) continue;
+      if (!portalRouteAllowed(board, p, from, destIdx)) continue;
       out.push({ from: fromSq, to: dest, kind: "portal-activation" });
     }
   } else if (portalType === 'neutral') {
-    // NEW: respect neutral swap cooldown: if this player's neutralSwapCooldown is true,
+    // Respect neutral swap cooldown: if this player's neutralSwapCooldown is true,
     // they are not allowed to use the neutral portal on this turn.
     // (This enforces the "victim can't use the neutral portal on their very next turn" rule.)
-    const cooldown = state.neutralSwapCooldown && state.neutralSwapCooldown[p.color];
+    const cooldown = rules.neutralCooldown && state.neutralSwapCooldown && state.neutralSwapCooldown[color];
     if (!cooldown) {
-      const mate = neutralMate(fromSq);
-      if (mate) {
-        const occupant = pieceAt(state, mate);
-        if (!(occupant && occupant.color === p.color)) {
-          out.push({ from: fromSq, to: mate, kind: "portal-activation" });
-        }
+      const mate = portals.byIndex.exits[from][0];
+      const occupant = board[mate];
+      if (!(occupant && ((occupant & BLACK) === own || !rules.swap)) && portalRouteAllowed(board, p, from, mate)) {
+        out.push({ from: fromSq, to: indexToSq(mate), kind: "portal-activation" });
       }
-    } else {
-      // cooldown true: skip adding neutral portal activation for this piece
     }
   }
 
@@ -525,313 +959,329 @@ export function expandWithPortalOutcomes(state, baseMove) {
     return [{ ...baseMove, toFinal: landingSq, kind: 'promotion', promo: promoType }];
   }
 
+  const portals = portalsOf(state);
+  const landingIdx = sqToIndex(baseMove.to);
+  const landingSq = indexToSq(landingIdx);
+  // Fast path: plain moves and captures onto ordinary squares
+  if (!portals.byIndex.owner[landingIdx] && baseMove.kind !== "portal-activation") return [{ ...baseMove, toFinal: landingSq }];
+
+  const rules = rulesOf(state);
+  const board = state.board;
+  const mover = board[sqToIndex(baseMove.from)];
+  const color = pieceColor(mover);
+
   // Immediate portal-activation resolution
   if (baseMove.kind === "portal-activation") {
-    const mover = pieceAt(state, baseMove.from);
     const entry = baseMove.from.toUpperCase();
-    const landingSq = baseMove.to.toUpperCase();
-    const occupant = pieceAt(state, landingSq);
-    if (occupant && occupant.color === mover.color) return [];
-    if (!occupant) {
-      return [{ ...baseMove, toFinal: landingSq, viaPortal: { entry, network: isPortalFor(mover.color, entry) || 'neutral', choice: landingSq, swapped: false } }];
-    } else {
-      return [{ ...baseMove, toFinal: landingSq, viaPortal: { entry, network: isPortalFor(mover.color, entry) || 'neutral', choice: landingSq, swapped: true } }];
-    }
+    const occupant = board[landingIdx];
+    if (occupant && (occupant & BLACK) === (mover & BLACK)) return [];
+    if (occupant && !rules.swap) return [];
+    if ((mover & TYPE_MASK) === KING && !rules.kingUsesPortals) return [];
+    if (!usablePortalAt(state, portals, color, sqToIndex(entry))) return [];
+    if (!portalRouteAllowed(board, mover, sqToIndex(entry), landingIdx)) return [];
+    const network = portalTypeAt(portals, color, sqToIndex(entry)) || 'neutral';
+    return [{ ...baseMove, toFinal: landingSq, viaPortal: { entry, network, choice: landingSq, swapped: !!occupant } }];
   }
 
-  const mover = pieceAt(state, baseMove.from);
-  const landingSq = baseMove.to.toUpperCase();
-  const portalType = isPortalFor(mover.color, landingSq);
-
-  // Capture on a portal does NOT activate it (incl. en passant)
-  const isCaptureOnPortal = (baseMove.kind === "capture" || baseMove.kind === "enpassant") && portalType;
-  if (isCaptureOnPortal) {
-    return [{ ...baseMove, toFinal: landingSq, viaPortal: undefined }];
-  }
+  const portalType = ((mover & TYPE_MASK) !== KING || rules.kingUsesPortals) ? usablePortalAt(state, portals, color, landingIdx) : null;
 
   // Not a portal
   if (!portalType) return [{ ...baseMove, toFinal: landingSq }];
 
-  // Exclusive network: Stay or jump to other network portals; swap on enemy destination
-  if (portalType === 'exclusive') {
-    const network = mover.color === 'w' ? PORTALS.white : PORTALS.black;
-    const choices = [...network].filter(sq => sq !== landingSq);
-    const outcomes = [{ ...baseMove, toFinal: landingSq, viaPortal: { entry: landingSq, network: 'exclusive', choice: "STAY", swapped: false } }];
-    for (const dest of choices) {
-      const occupant = pieceAt(state, dest);
-      if (!occupant) {
-        outcomes.push({ ...baseMove, toFinal: dest, viaPortal: { entry: landingSq, network: 'exclusive', choice: dest, swapped: false } });
-      } else if (occupant.color !== mover.color) {
-        outcomes.push({ ...baseMove, toFinal: dest, viaPortal: { entry: landingSq, network: 'exclusive', choice: dest, swapped: true } });
-      }
-    }
-    return outcomes;
+  // Capture on a portal does NOT activate it (incl. en passant), unless the variant says it does
+  const isCaptureOnPortal = baseMove.kind === "capture" || baseMove.kind === "enpassant";
+  if (isCaptureOnPortal && !rules.captureActivatesPortal) {
+    return [{ ...baseMove, toFinal: landingSq, viaPortal: undefined }];
   }
 
-  // Neutral pair: Stay or jump to mate; swap on enemy at mate
-  if (portalType === 'neutral') {
-    const mate = neutralMate(landingSq);
-    const outcomes = [{ ...baseMove, toFinal: landingSq, viaPortal: { entry: landingSq, network: 'neutral', choice: "STAY", swapped: false } }];
-    const occupant = pieceAt(state, mate);
+  // Exclusive network: Stay or jump to other network portals; swap on enemy destination.
+  // Neutral pair: Stay or jump to the mate; swap on enemy at the mate.
+  const outcomes = [{ ...baseMove, toFinal: landingSq, viaPortal: { entry: landingSq, network: portalType, choice: "STAY", swapped: false } }];
+  for (const destIdx of portals.byIndex.exits[landingIdx]) {
+    const dest = indexToSq(destIdx);
+    const occupant = board[destIdx];
+    if (!portalRouteAllowed(board, mover, landingIdx, destIdx)) continue;
     if (!occupant) {
-      outcomes.push({ ...baseMove, toFinal: mate, viaPortal: { entry: landingSq, network: 'neutral', choice: mate, swapped: false } });
-    } else if (occupant?.color !== mover.color) {
-      outcomes.push({ ...baseMove, toFinal: mate, viaPortal: { entry: landingSq, network: 'neutral', choice: mate, swapped: true } });
+      outcomes.push({ ...baseMove, toFinal: dest, viaPortal: { entry: landingSq, network: portalType, choice: dest, swapped: false } });
+    } else if ((occupant & BLACK) !== (mover & BLACK) && rules.swap) {
+      outcomes.push({ ...baseMove, toFinal: dest, viaPortal: { entry: landingSq, network: portalType, choice: dest, swapped: true } });
     }
-    return outcomes;
   }
-
-  return [{ ...baseMove, toFinal: landingSq }];
+  return outcomes;
 }
 
-// Apply a resolved move and return a new state (does not mutate original state)
-export function applyResolvedMove(state, resolved) {
-  const next = typeof structuredClone === "function" ? structuredClone(state) : JSON.parse(JSON.stringify(state));
-  // ensure castleRights is copied into next for conservative updates
-  next.castleRights = next.castleRights || (state.castleRights ? { ...state.castleRights } : { K: true, Q: true, k: true, q: true });
-  // Use the cloned 'next' board pieces where possible so we don't mutate the
-  // original `state`'s piece objects (which previously caused hasMoved flags
-  // to leak into the live state and accidentally disable castling).
-  const mover = next.board[sqToIndex(resolved.from)] || state.board[sqToIndex(resolved.from)];
+// -------------------------
+// Make / unmake
+// -------------------------
+// makeMove applies a resolved move to `state` IN PLACE and returns an undo record; unmakeMove
+// takes that record and restores the state exactly (board, piece hasMoved flags, turn, clocks,
+// castling, en passant, neutral cooldowns, no-return maps, history and positionHistory).
+// Moves must be unmade in reverse order of making. Search code should make/unmake on one working
+// copy instead of cloning per move; applyResolvedMove below is the pure wrapper for everything else.
+export function makeMove(state, resolved) {
+  const moverIdx = sqToIndex(resolved.from);
+  const mover = state.board[moverIdx];
   if (!mover) throw new Error("No moving piece");
+  const color = pieceColor(mover);
+  const moverType = mover & TYPE_MASK;
+  const promoType = resolved.kind === 'promotion'
+    ? ((resolved.meta && resolved.meta.promo) || resolved.promo || resolved.promotion) : null;
+  if (resolved.kind === 'promotion' && !promoType) throw new Error('Promotion missing promo type');
+  if (promoType && !'QRBN'.includes(String(promoType).toUpperCase())) throw new Error(`Bad promotion type: ${promoType}`);
+
+  // Everything below replaces (rather than mutates) the nested rule-state objects, so the undo
+  // record can simply keep the previous references.
+  const undo = {
+    move: resolved,
+    squares: [],   // [index, previous piece] in write order (hasMoved is part of the piece)
+    turn: state.turn,
+    moveNumber: state.moveNumber,
+    enPassantTarget: state.enPassantTarget,
+    castleRights: state.castleRights,
+    halfmoveClock: state.halfmoveClock,
+    neutralSwapCooldown: state.neutralSwapCooldown,
+    personalNoReturn: state.personalNoReturn,
+    pendingPersonalNoReturn: state.pendingPersonalNoReturn,
+    extraMoves: state.extraMoves,
+    history: state.history,
+    positionHistory: state.positionHistory,
+    zobrist: state.zobrist,
+  };
+  // Incremental hash: take out the parts this move may change, put the new ones back at the end
+  const h = state.zobrist ? [...state.zobrist] : computeZobrist(state);
+  zEnPassant(h, state);
+  zNoReturn(h, state.personalNoReturn, 0);
+  zNoReturn(h, state.pendingPersonalNoReturn, 1);
+  const put = (sq, piece) => {
+    const idx = sqToIndex(sq);
+    undo.squares.push([idx, state.board[idx]]);
+    zPiece(h, state.board[idx], idx);
+    zPiece(h, piece, idx);
+    state.board[idx] = piece;
+  };
+  const copyNoReturn = (maps) => ({ w: { ...((maps && maps.w) || {}) }, b: { ...((maps && maps.b) || {}) } });
+
+  state.castleRights = { ...(state.castleRights || { K: true, Q: true, k: true, q: true }) };
+  state.neutralSwapCooldown = { w: false, b: false, ...(state.neutralSwapCooldown || {}) };
+  state.personalNoReturn = copyNoReturn(state.personalNoReturn);
+  state.pendingPersonalNoReturn = copyNoReturn(state.pendingPersonalNoReturn);
+  if (!state.history) state.history = [];
+  if (!state.positionHistory) state.positionHistory = [];
+  // A castling rook that leaves its square (moved, captured or thrown) takes its right with it
+  const homeRooks = castlingRooks(state);
+  const clearRookRights = (sq) => {
+    const idx = sqToIndex(sq);
+    for (const k of CASTLE_FLAGS) if (homeRooks[k] === idx) state.castleRights[k] = false;
+  };
 
   // Clear en passant target by default
-  next.enPassantTarget = null;
-  // Handle castle specially
+  state.enPassantTarget = null;
+
   if (resolved.kind === 'castle') {
-    const color = mover.color;
+    // Handle castle specially
     const rank = color === 'w' ? '1' : '8';
-    const originIdx = sqToIndex(resolved.from);
     const kingDest = (resolved.to || resolved.toFinal).toUpperCase();
 
-    // clear origin
-    next.board[originIdx] = null;
-    // place king at destination
-    next.board[sqToIndex(kingDest)] = mover;
-
     // Determine rook movement
     const castleType = resolved.meta && resolved.meta.castle;
-    let rookFrom = null, rookTo = null;
-    if (castleType === 'K') { rookFrom = `H${rank}`; rookTo = `F${rank}`; }
-    else { rookFrom = `A${rank}`; rookTo = `D${rank}`; }
-
-    // Prefer the rook object from the cloned next board to avoid mutating the
-    // original state objects.
-    const rook = next.board[sqToIndex(rookFrom)] || state.board[sqToIndex(rookFrom)];
-    if (rook && rook.type === 'R' && rook.color === color) {
-      // clear rook origin and place at target on the cloned board
-      next.board[sqToIndex(rookFrom)] = null;
-      next.board[sqToIndex(rookTo)] = rook;
-      rook.hasMoved = true;
-    }
-
-    // Mark the king as moved on the cloned object
-    mover.hasMoved = true;
+    const rookIdx = homeRooks[color === 'w' ? castleType : String(castleType).toLowerCase()];
+    const rookFrom = rookIdx >= 0 ? indexToSq(rookIdx) : null;
+    const rookTo = castleType === 'K' ? `F${rank}` : `D${rank}`;
+    const rook = rookFrom ? state.board[rookIdx] : 0;
+
+    // Lift both pieces before placing them: from a Chess960 start the king may land where the
+    // rook stood, or the other way round
+    put(resolved.from, 0);
+    if (rook) put(rookFrom, 0);
+    put(kingDest, mover | MOVED);
+    if (rook) put(rookTo, rook | MOVED);
 
     // Clear both castle rights for this color
-    if (color === 'w') { next.castleRights.K = false; next.castleRights.Q = false; }
-    else { next.castleRights.k = false; next.castleRights.q = false; }
-
-    // consume mover's neutralSwapCooldown for the moving side
-    next.neutralSwapCooldown = next.neutralSwapCooldown || { w: false, b: false };
-    next.neutralSwapCooldown[mover.color] = false;
-
-    // Switch turn and record
-    next.turn = state.turn === 'w' ? 'b' : 'w';
-    if (next.turn === 'w') next.moveNumber += 1;
-    next.history = next.history || [];
-    next.history.push(resolved);
-    return next;
-  }
-
-  // --- PROMOTION handling ---
-  // Promotions must be applied immediately: the pawn is replaced by the chosen
-  // piece on the destination square. Promotions do not branch into portal
-  // outcomes — promo only happens when the pawn physically lands on the final
-  // rank by its normal move/capture, and thus are resolved here.
-  if (resolved.kind === 'promotion') {
+    if (color === 'w') { state.castleRights.K = false; state.castleRights.Q = false; }
+    else { state.castleRights.k = false; state.castleRights.q = false; }
+
+    // Castling is neither a capture nor a pawn move
+    state.halfmoveClock = (undo.halfmoveClock || 0) + 1;
+  } else if (resolved.kind === 'promotion') {
+    // Promotions are applied immediately: the pawn is replaced by the chosen piece on the
+    // destination square. Promotions do not branch into portal outcomes — promo only happens
+    // when the pawn physically lands on the final rank by its normal move/capture.
     const destSq = (resolved.toFinal || resolved.to).toUpperCase();
-    const destIdx = sqToIndex(destSq);
 
-    // If there's an opponent piece on the target, capture it
-    const cap = next.board[destIdx];
-    if (cap && cap.color !== mover.color) {
-      next.board[destIdx] = null;
-      // Clear castle rights if a rook was captured on its original square
-      const capSq = destSq;
-      if (capSq === 'A1') next.castleRights.Q = false;
-      if (capSq === 'H1') next.castleRights.K = false;
-      if (capSq === 'A8') next.castleRights.q = false;
-      if (capSq === 'H8') next.castleRights.k = false;
-    }
+    // If there's an opponent piece on the target, capture it (clearing rights for a home rook)
+    const cap = state.board[sqToIndex(destSq)];
+    if (cap && (cap & BLACK) !== (mover & BLACK)) clearRookRights(destSq);
 
     // Clear origin and place the promoted piece
-    next.board[sqToIndex(resolved.from)] = null;
-    const promoType = (resolved.meta && resolved.meta.promo) || resolved.promo || resolved.promotion;
-    if (!promoType) throw new Error('Promotion missing promo type');
-    next.board[destIdx] = { type: promoType, color: mover.color, hasMoved: true };
+    put(resolved.from, 0);
+    put(destSq, pieceCode(String(promoType).toUpperCase(), color, true));
 
     // Pawn move resets halfmove clock
-    next.halfmoveClock = 0;
-
-    // Consume mover's neutral-swap cooldown flag (non-critical)
-    next.neutralSwapCooldown = next.neutralSwapCooldown || { w: false, b: false };
-    try { next.neutralSwapCooldown[mover.color] = false; } catch (e) {}
+    state.halfmoveClock = 0;
+  } else {
+    // Fifty-move rule bookkeeping. Pawn moves and captures (incl. en passant) reset the clock.
+    // A portal swap is NOT a capture (nothing leaves the board), so it only resets the clock
+    // when the piece thrown back to the entry square is a pawn, since that pawn has moved.
+    const swapVictim = resolved.viaPortal?.swapped ? state.board[sqToIndex(resolved.toFinal)] : 0;
+    const resets = moverType === PAWN || resolved.kind === 'capture' || resolved.kind === 'enpassant'
+      || (swapVictim & TYPE_MASK) === PAWN;
+    state.halfmoveClock = resets ? 0 : (undo.halfmoveClock || 0) + 1;
+
+    // En passant: the captured pawn is not on the landing square but beside the mover
+    if (resolved.kind === "enpassant") {
+      const victimSq = (resolved.meta && resolved.meta.captured) || enPassantVictimSq(resolved.to);
+      if (victimSq) put(victimSq, 0);
+    }
 
-    // Switch turn and record
-    next.turn = state.turn === 'w' ? 'b' : 'w';
-    if (next.turn === 'w') next.moveNumber += 1;
-    next.history = next.history || [];
-    next.history.push(resolved);
+    // Remove captured piece on landing square (non-EP); a rook taken at home ends that castling
+    if (resolved.kind === "capture") {
+      put(resolved.to, 0);
+      clearRookRights((resolved.to || '').toUpperCase());
+    }
 
-    // Promote any pending personal-no-return mappings for the side about to move
-    next.pendingPersonalNoReturn = next.pendingPersonalNoReturn || { w: {}, b: {} };
-    next.personalNoReturn = next.personalNoReturn || { w: {}, b: {} };
-    try {
-      const upcoming = next.turn;
-      if (next.pendingPersonalNoReturn && next.pendingPersonalNoReturn[upcoming] && Object.keys(next.pendingPersonalNoReturn[upcoming]).length > 0) {
-        next.personalNoReturn[upcoming] = { ...next.pendingPersonalNoReturn[upcoming] };
-        next.pendingPersonalNoReturn[upcoming] = {};
+    // Move the piece from 'from' (clear origin)
+    put(resolved.from, 0);
+
+    // If swap via portal (swapped), do the swap: mover -> dest, opponent -> entry
+    if (resolved.viaPortal?.swapped) {
+      const entry = resolved.viaPortal.entry; // entry square (where mover jumped from)
+      const dest = resolved.toFinal;
+      const opponent = state.board[sqToIndex(dest)];
+      if (!opponent) throw new Error('No piece to swap with');
+      put(dest, mover | MOVED);
+      // The thrown piece has moved: a rook thrown from its home square takes its castling
+      // right with it (Rule 6)
+      put(entry, opponent | MOVED);
+      if ((opponent & TYPE_MASK) === ROOK) clearRookRights(dest.toUpperCase());
+
+      // If this swap involved the NEUTRAL network, the victim may not use the neutral portal next turn
+      if (rulesOf(state).neutralCooldown && (resolved.viaPortal.network === 'neutral'
+        || isPortalFor(state, null, entry) === 'neutral' || isPortalFor(state, null, dest) === 'neutral')) {
+        state.neutralSwapCooldown[color === 'w' ? 'b' : 'w'] = true;
       }
-    } catch (e) { }
-
-    // Consume any active personalNoReturn for the mover (they've just moved)
-    try { next.personalNoReturn[mover.color] = {}; } catch (e) {}
-
-    return next;
-  }
-
-  // Remove captured piece on landing square (non-EP)
-  if (resolved.kind === "capture") {
-    next.board[sqToIndex(resolved.to)] = null;
-    // If a rook on its original square was captured, clear corresponding rights
-    const cap = (resolved.to || '').toUpperCase();
-    if (cap === 'A1') next.castleRights.Q = false;
-    if (cap === 'H1') next.castleRights.K = false;
-    if (cap === 'A8') next.castleRights.q = false;
-    if (cap === 'H8') next.castleRights.k = false;
-  }
-
-  // Move the piece from 'from' (clear origin)
-  next.board[sqToIndex(resolved.from)] = null;
-
-  // If swap via portal (swapped), do the swap: mover -> dest, opponent -> entry
-  if (resolved.viaPortal?.swapped) {
-    const entry = resolved.viaPortal.entry; // entry square (where mover jumped from)
-    const dest = resolved.toFinal;
-    const opponent = next.board[sqToIndex(dest)]; // in next (cloned) board, dest still holds opponent
-    // place mover at dest, place opponent at entry
-    next.board[sqToIndex(dest)] = mover;
-    next.board[sqToIndex(entry)] = opponent;
+    } else {
+      // No swap: mover simply ends at toFinal
+      put(resolved.toFinal, mover | MOVED);
+    }
 
-    // NEW: If this swap involved the NEUTRAL network, set cooldown for the victim (opponent)
-    try {
-      if (resolved.viaPortal.network === 'neutral' || isPortalFor(null, resolved.viaPortal.entry) === 'neutral' || isPortalFor(null, dest) === 'neutral') {
-        const victimColor = mover.color === 'w' ? 'b' : 'w';
-        // Set cooldown on the victim so they cannot use the neutral portal on their next turn
-        next.neutralSwapCooldown = next.neutralSwapCooldown || { w: false, b: false };
-        next.neutralSwapCooldown[victimColor] = true;
+    // A pawn double step that ends on its landing square (no portal jump or swap) exposes
+    // the skipped square to en passant on the opponent's next move.
+    if (moverType === PAWN && resolved.kind === 'move') {
+      const fromSq = resolved.from.toUpperCase();
+      const landing = resolved.to.toUpperCase();
+      const finalSq = (resolved.toFinal || resolved.to).toUpperCase();
+      const rankDiff = RANKS.indexOf(landing[1]) - RANKS.indexOf(fromSq[1]);
+      if (Math.abs(rankDiff) === 2 && fromSq[0] === landing[0] && finalSq === landing && !resolved.viaPortal?.swapped) {
+        state.enPassantTarget = `${fromSq[0]}${RANKS[RANKS.indexOf(fromSq[1]) + rankDiff / 2]}`;
       }
-    } catch (e) {
-      // ignore if any lookup fails; cooldown not critical
     }
-  } else {
-    // No swap: mover simply ends at toFinal on the cloned board
-    next.board[sqToIndex(resolved.toFinal)] = mover;
-  }
-
-  // Mark mover as moved (on the cloned object)
-  mover.hasMoved = true;
 
-  // If this move was a portal activation on an exclusive (personal) network,
-  // schedule a pending one-turn no-return mapping so it becomes active
-  // at the start of the mover's next turn (after the opponent moves).
-  try {
-    const net = resolved.viaPortal && resolved.viaPortal.network;
-    const destSq = (resolved.toFinal || resolved.to).toUpperCase();
-    // Prefer the portal entry as the origin when available (covers move->portal->jump cases).
-    const originSq = (resolved.viaPortal && resolved.viaPortal.entry ? resolved.viaPortal.entry.toUpperCase() : (resolved.from || '').toUpperCase());
-    // Only schedule when this resolved outcome actually used the portal network to jump (choice !== 'STAY')
-    const usedPortalJump = resolved.viaPortal && resolved.viaPortal.choice && resolved.viaPortal.choice !== 'STAY';
-    if (net === 'exclusive' && usedPortalJump) {
-      next.pendingPersonalNoReturn = next.pendingPersonalNoReturn || { w: {}, b: {} };
-      next.pendingPersonalNoReturn[mover.color] = next.pendingPersonalNoReturn[mover.color] || {};
-      next.pendingPersonalNoReturn[mover.color][destSq] = originSq;
+    // A jump through the mover's exclusive (personal) network schedules a one-turn no-return
+    // mapping (landing -> entry) that becomes active at the start of the mover's next turn.
+    // Only outcomes that actually jumped (choice !== 'STAY') count.
+    const via = resolved.viaPortal;
+    if (via && via.network === 'exclusive' && via.choice && via.choice !== 'STAY' && rulesOf(state).noReturn) {
+      const destSq = (resolved.toFinal || resolved.to).toUpperCase();
+      const originSq = (via.entry || resolved.from || '').toUpperCase();
+      state.pendingPersonalNoReturn[color][destSq] = originSq;
     }
-  } catch (e) {
-    // non-critical
-  }
 
-  // If a king moved, clear castle rights for that color. If a rook moved from an original square, clear that side.
-  try {
-    if (mover.type === 'K') {
-      if (mover.color === 'w') { next.castleRights.K = false; next.castleRights.Q = false; }
-      else { next.castleRights.k = false; next.castleRights.q = false; }
-    } else if (mover.type === 'R') {
-      const from = (resolved.from || '').toUpperCase();
-      if (from === 'A1') next.castleRights.Q = false;
-      if (from === 'H1') next.castleRights.K = false;
-      if (from === 'A8') next.castleRights.q = false;
-      if (from === 'H8') next.castleRights.k = false;
+    // If a king moved, clear castle rights for that color. If a rook moved from an original square, clear that side.
+    if (moverType === KING) {
+      if (color === 'w') { state.castleRights.K = false; state.castleRights.Q = false; }
+      else { state.castleRights.k = false; state.castleRights.q = false; }
+    } else if (moverType === ROOK) {
+      clearRookRights((resolved.from || '').toUpperCase());
     }
-  } catch (e) {
-    // ignore
   }
 
-  // NEW: After the mover completes their move, clear THAT mover's cooldown flag (the one-time prohibition is consumed)
-  next.neutralSwapCooldown = next.neutralSwapCooldown || { w: false, b: false };
-  try { next.neutralSwapCooldown[mover.color] = false; } catch (e) {}
+  // The mover's one-time neutral cooldown is consumed by this move
+  state.neutralSwapCooldown[color] = false;
+
+  // Switch turn and record. A side with handicap extra moves left moves again.
+  const extra = state.extraMoves ? state.extraMoves[color] : 0;
+  if (extra > 0) state.extraMoves = { ...state.extraMoves, [color]: extra - 1 };
+  state.turn = extra > 0 ? undo.turn : (undo.turn === 'w' ? 'b' : 'w');
+  if (state.turn === 'w' && undo.turn === 'b') state.moveNumber += 1;
+  // the opponent never gets the move in between, so a double step gives no en passant chance
+  if (extra > 0) state.enPassantTarget = null;
+  state.history.push(resolved);
+
+  // Consume the mover's active personal-no-return mappings (their restricted turn is over), and
+  // promote any pending ones for the side about to move into active restrictions.
+  const upcoming = state.turn;
+  state.personalNoReturn[color] = {};
+  if (Object.keys(state.pendingPersonalNoReturn[upcoming]).length > 0) {
+    state.personalNoReturn[upcoming] = state.pendingPersonalNoReturn[upcoming];
+    state.pendingPersonalNoReturn[upcoming] = {};
+  }
 
-  // Switch turn and record
-  next.turn = state.turn === 'w' ? 'b' : 'w';
-  if (next.turn === 'w') next.moveNumber += 1;
-  next.history = next.history || [];
-  next.history.push(resolved);
+  if (state.turn !== undo.turn) zx(h, Z.side, 0);
+  if (extra > 0) { zExtraMoves(h, undo.extraMoves); zExtraMoves(h, state.extraMoves); }
+  CASTLE_FLAGS.forEach((k, i) => { if (!undo.castleRights?.[k] !== !state.castleRights[k]) zx(h, Z.castle, i); });
+  ['w', 'b'].forEach((c, i) => { if (!undo.neutralSwapCooldown?.[c] !== !state.neutralSwapCooldown[c]) zx(h, Z.cooldown, i); });
+  zEnPassant(h, state);
+  zNoReturn(h, state.personalNoReturn, 0);
+  zNoReturn(h, state.pendingPersonalNoReturn, 1);
+  state.zobrist = h;
+
+  recordPosition(state);
+  return undo;
+}
 
-  // Promote any pending personal-no-return mappings for the side about to move into active restrictions.
-  // This makes a restriction (created when a player used a portal) become active at the start of their next turn.
-  next.pendingPersonalNoReturn = next.pendingPersonalNoReturn || { w: {}, b: {} };
-  next.personalNoReturn = next.personalNoReturn || { w: {}, b: {} };
-  try {
-    const upcoming = next.turn; // side who will now move
-    // If there's a pending restriction for the upcoming side, promote it into personalNoReturn and clear pending
-    if (next.pendingPersonalNoReturn && next.pendingPersonalNoReturn[upcoming] && Object.keys(next.pendingPersonalNoReturn[upcoming]).length > 0) {
-      next.personalNoReturn[upcoming] = { ...next.pendingPersonalNoReturn[upcoming] };
-      next.pendingPersonalNoReturn[upcoming] = {};
-    }
-  } catch (e) {
-    // ignore
+// Take back the move recorded in `undo` (the value makeMove returned for the last move made)
+export function unmakeMove(state, undo) {
+  for (let i = undo.squares.length - 1; i >= 0; i--) {
+    const [idx, piece] = undo.squares[i];
+    state.board[idx] = piece;
+  }
+  state.history.pop();
+  state.positionHistory.pop();
+  for (const k of ['turn', 'moveNumber', 'enPassantTarget', 'castleRights', 'halfmoveClock', 'neutralSwapCooldown',
+    'personalNoReturn', 'pendingPersonalNoReturn', 'extraMoves', 'history', 'positionHistory', 'zobrist']) {
+    if (undo[k] === undefined) delete state[k];
+    else state[k] = undo[k];
   }
+}
 
-  // Consume any active personalNoReturn for the mover (they've just moved, so the one-turn restriction is finished)
-  try { next.personalNoReturn[mover.color] = {}; } catch (e) {}
+// Cheap private copy for make/unmake work: a fresh board, shared read-only portal map and
+// variant, and empty histories (nothing in move generation reads them).
+// The nested rule-state objects can be shared because makeMove replaces them instead of mutating.
+function workingCopy(state) {
+  return { ...state, board: state.board.slice(), history: [], positionHistory: [] };
+}
 
+// Apply a resolved move and return a new state (does not mutate original state)
+export function applyResolvedMove(state, resolved) {
+  const next = typeof structuredClone === "function" ? structuredClone(state) : JSON.parse(JSON.stringify(state));
+  makeMove(next, resolved);
   return next;
 }
 
-// --- NEW: Check detection and legal move filtering (unchanged) ---
+// --- Check detection and legal move filtering ---
 
-// Return true if `color`'s king is attacked in `state`
+// Return true if `color`'s king is attacked in `state` (normal and portal jump/swap attacks alike)
 export function inCheck(state, color) {
+  const king = kingSquare(state.board, color);
+  return king >= 0 && scanAttacks(state, king, color === 'w' ? 'b' : 'w', null);
+}
+
+// Reference check test: expands every opponent move through the portals and looks for one
+// ending on the king. Far slower than inCheck; kept to verify it (`node perft.js --verify-check`).
+export function inCheckByGeneration(state, color) {
   // find king square
-  let kingSq = null;
-  for (let i = 0; i < 64; i++) {
-    const p = state.board[i];
-    if (p && p.type === 'K' && p.color === color) {
-      kingSq = `${FILES[i % 8]}${RANKS[Math.floor(i / 8)]}`;
-      break;
-    }
-  }
-  if (!kingSq) return false;
+  const king = kingSquare(state.board, color);
+  if (king < 0) return false;
+  const kingSq = indexToSq(king);
 
+  // Move generation only reads the state, so a shallow view with the turn flipped is enough
   const opponent = color === 'w' ? 'b' : 'w';
-  const tmp = typeof structuredClone === "function" ? structuredClone(state) : JSON.parse(JSON.stringify(state));
-  tmp.turn = opponent;
+  const tmp = { ...state, turn: opponent };
 
-  for (let i = 0; i < 64; i++) {
+  for (const i of BOARD_SQUARES) {
     const p = tmp.board[i];
-    if (!p || p.color !== opponent) continue;
-    const fromSq = `${FILES[i % 8]}${RANKS[Math.floor(i / 8)]}`;
+    if (!p || pieceColor(p) !== opponent) continue;
+    const fromSq = indexToSq(i);
     const baseMoves = generatePseudoLegalMoves(tmp, fromSq);
     for (const bm of baseMoves) {
       const outcomes = expandWithPortalOutcomes(tmp, bm);
@@ -845,15 +1295,20 @@ export function inCheck(state, color) {
 }
 
 // Filter an array of resolved moves, keeping only those that do not leave the mover in check
+// (nor, while the mover has handicap extra moves left, give check)
 export function filterLegalByCheck(state, resolvedMoves) {
   const legal = [];
+  const moverColor = state.turn;
+  const movesAgain = !!(state.extraMoves && state.extraMoves[moverColor] > 0);
+  let work = workingCopy(state);
   for (const m of resolvedMoves) {
     try {
-      const after = applyResolvedMove(state, m);
-      const moverColor = state.turn;
-      if (!inCheck(after, moverColor)) legal.push(m);
+      const undo = makeMove(work, m);
+      if (!inCheck(work, moverColor) && !(movesAgain && inCheck(work, moverColor === 'w' ? 'b' : 'w'))) legal.push(m);
+      unmakeMove(work, undo);
     } catch (err) {
-      // ignore invalid/applied moves that error
+      // ignore invalid moves that error; a throw may leave `work` half-updated, so start afresh
+      work = workingCopy(state);
     }
   }
   return legal;
@@ -865,16 +1320,14 @@ export function isCheckmate(state, color) {
   try {
     if (!inCheck(state, color)) return false;
     // To correctly generate pseudo-legal moves we must evaluate moves in a
-    // state where `turn === color`. Clone the state and set the turn to the
-    // color under test so generatePseudoLegalMoves and filterLegalByCheck
-    // behave as expected.
-    const tmp = typeof structuredClone === 'function' ? structuredClone(state) : JSON.parse(JSON.stringify(state));
-    tmp.turn = color;
+    // state where `turn === color`. Take a shallow view with the turn set to
+    // the color under test (filterLegalByCheck makes its own working copy).
+    const tmp = { ...state, turn: color };
     // iterate all squares, generate moves for pieces of `color`
-    for (let i = 0; i < 64; i++) {
+    for (const i of BOARD_SQUARES) {
       const p = tmp.board[i];
-      if (!p || p.color !== color) continue;
-      const from = `${FILES[i % 8]}${RANKS[Math.floor(i / 8)]}`;
+      if (!p || pieceColor(p) !== color) continue;
+      const from = indexToSq(i);
       const base = generatePseudoLegalMoves(tmp, from);
       for (const bm of base) {
         const outcomes = expandWithPortalOutcomes(tmp, bm);
@@ -894,12 +1347,11 @@ export function isStalemate(state, color) {
     if (inCheck(state, color)) return false;
     // As with isCheckmate, generatePseudoLegalMoves must be called with a
     // state whose `turn` equals the color being tested.
-    const tmp = typeof structuredClone === 'function' ? structuredClone(state) : JSON.parse(JSON.stringify(state));
-    tmp.turn = color;
-    for (let i = 0; i < 64; i++) {
+    const tmp = { ...state, turn: color };
+    for (const i of BOARD_SQUARES) {
       const p = tmp.board[i];
-      if (!p || p.color !== color) continue;
-      const from = `${FILES[i % 8]}${RANKS[Math.floor(i / 8)]}`;
+      if (!p || pieceColor(p) !== color) continue;
+      const from = indexToSq(i);
       const base = generatePseudoLegalMoves(tmp, from);
       for (const bm of base) {
         const outcomes = expandWithPortalOutcomes(tmp, bm);
@@ -913,7 +1365,315 @@ export function isStalemate(state, color) {
   }
 }
 
-// Convenience: overall game result. Returns { result: 'ongoing'|'checkmate'|'stalemate', winner: 'w'|'b'|null }
+// -------------------------
+// Legal move list and move IDs
+// -------------------------
+// A move ID names one resolved outcome in a position, so clients and tools can refer to a move
+// without sending the whole object:
+//   e2e4            move, capture or en passant (origin + landing square)
+//   e7e8q           promotion (piece letter appended)
+//   c1e3:stay       landing on a usable portal and staying
+//   c1e3>b3         landing on a portal and jumping to b3 ('*' appended when the jump swaps)
+//   @e3>b3          activating the portal the piece stands on (Rule 1b), '*' for a swap
+//   O-O / O-O-O     castling
+// IDs are lowercase apart from castling, and depend only on the move, not the position.
+export function moveId(move) {
+  if (move.kind === 'castle') return move.meta && move.meta.castle === 'Q' ? 'O-O-O' : 'O-O';
+  const from = move.from.toLowerCase();
+  const landing = move.to.toLowerCase();
+  const via = move.viaPortal;
+  const jump = via && via.choice && via.choice !== 'STAY'
+    ? `>${(move.toFinal || move.to).toLowerCase()}${via.swapped ? '*' : ''}` : '';
+  if (move.kind === 'portal-activation') return `@${from}${jump}`;
+  if (move.kind === 'promotion') return `${from}${landing}${String((move.meta && move.meta.promo) || move.promo || move.promotion).toLowerCase()}`;
+  return `${from}${landing}${via ? (jump || ':stay') : ''}`;
+}
+
+// Every legal resolved outcome for the side to move, each carrying its `id` (see moveId)
+export function generateLegalMoves(state) {
+  const out = [];
+  for (const i of BOARD_SQUARES) {
+    const p = state.board[i];
+    if (!p || pieceColor(p) !== state.turn) continue;
+    for (const bm of generatePseudoLegalMoves(state, indexToSq(i))) {
+      for (const m of filterLegalByCheck(state, expandWithPortalOutcomes(state, bm))) {
+        out.push({ ...m, id: moveId(m) });
+      }
+    }
+  }
+  return out;
+}
+
+// The legal outcome with this ID in `state`, or null
+export function findMoveById(state, id) {
+  if (typeof id !== 'string' || !id) return null;
+  const wanted = /^o-o/i.test(id) ? id.toUpperCase() : id.toLowerCase();
+  return generateLegalMoves(state).find(m => m.id === wanted) || null;
+}
+
+// -------------------------
+// Move validation with reasons
+// -------------------------
+// Reason codes returned by validateMove, with a message fit to show a player
+export const MOVE_REJECTIONS = Object.freeze({
+  'bad-move': 'That is not a valid move description.',
+  'no-piece': 'There is no piece on that square.',
+  'not-your-turn': 'That piece belongs to the side not to move.',
+  'own-piece': 'The destination is occupied by your own piece.',
+  'not-a-move': 'That piece cannot move there.',
+  'blocked-path': 'The path is blocked.',
+  'castling-not-allowed': 'Castling is not allowed now (rights lost, squares occupied or attacked).',
+  'promotion-required': 'Choose a piece to promote the pawn to.',
+  'bad-promotion': 'Only a pawn reaching the last rank promotes, to a queen, rook, bishop or knight.',
+  'portal-choice-required': 'Choose whether to stay on the portal or where to jump.',
+  'bad-portal-choice': 'That portal cannot take the piece there.',
+  'neutral-cooldown': 'Your neutral portal is on cooldown this turn after your piece was swapped.',
+  'no-return': 'This piece may not jump straight back through the portal it just arrived from.',
+  'pawn-to-back-rank': 'Portals may not put a pawn on the first or last rank.',
+  'portal-barred': 'Your side may not use this portal network in this handicap game.',
+  'leaves-king-in-check': 'That move would leave your king in check.',
+  'check-during-extra-moves': 'You may not give check while you still have extra moves to play.',
+});
+
+const MOVE_ID_RE = /^([a-h][1-8])([a-h][1-8])(?:([a-z])|:(stay)|>([a-h][1-8])\*?)?$/;
+const ACTIVATION_ID_RE = /^@([a-h][1-8])>([a-h][1-8])\*?$/;
+
+// Normalise a move ID (see moveId) or move object ({ from, to, promo?, choice? } or a resolved
+// move) to { from, to, promo, choice, activation, castle }; null when it cannot be read
+function moveRequest(state, move) {
+  if (typeof move === 'string') {
+    const id = move.trim();
+    const castle = /^o-o(-o)?$/i.exec(id);
+    if (castle) {
+      const king = kingSquare(state.board, state.turn);
+      if (king < 0) return null;
+      const to = (king & ~7) + (castle[1] ? 2 : 6);
+      return { from: indexToSq(king), to: indexToSq(to), castle: true };
+    }
+    const act = ACTIVATION_ID_RE.exec(id.toLowerCase());
+    if (act) return { from: act[1].toUpperCase(), to: act[2].toUpperCase(), activation: true };
+    const m = MOVE_ID_RE.exec(id.toLowerCase());
+    if (!m) return null;
+    return { from: m[1].toUpperCase(), to: m[2].toUpperCase(), promo: m[3], choice: m[4] ? 'STAY' : m[5] && m[5].toUpperCase() };
+  }
+  if (!move || typeof move !== 'object') return null;
+  if (typeof move.id === 'string' && !move.from) return moveRequest(state, move.id);
+  if (typeof move.from !== 'string' || typeof move.to !== 'string') return null;
+  const choice = (move.viaPortal && move.viaPortal.choice) || move.choice;
+  return {
+    from: move.from.toUpperCase(),
+    to: move.to.toUpperCase(),
+    promo: (move.meta && move.meta.promo) || move.promo || move.promotion,
+    choice: choice ? String(choice).toUpperCase() : undefined,
+    activation: move.kind === 'portal-activation',
+    castle: move.kind === 'castle',
+  };
+}
+
+// Why the piece on `from` has no pseudo-legal move onto `to` (a MOVE_REJECTIONS code)
+function unreachableReason(state, req, from, to) {
+  const board = state.board;
+  const piece = board[from];
+  const type = piece & TYPE_MASK;
+  const color = pieceColor(piece);
+  const target = board[to];
+  const ownTarget = target && (target & BLACK) === (piece & BLACK);
+  const rules = rulesOf(state);
+  const portals = portalsOf(state);
+  if (from === to) return 'not-a-move';
+
+  // Activating the portal the piece stands on (Rule 1b)
+  const network = (type !== KING || rules.kingUsesPortals) ? portalTypeAt(portals, color, from) : null;
+  const exit = network && maskHas(portals.byIndex.exitMask, 2 * from, to);
+  if (network && portalBarred(state, color, network) && (req.activation || exit)) return 'portal-barred';
+  if (req.activation || exit) {
+    if (!exit) return 'not-a-move';
+    if (ownTarget) return 'own-piece';
+    if (target && !rules.swap) return 'not-a-move';
+    if (!portalRouteAllowed(board, piece, from, to)) return 'pawn-to-back-rank';
+    if (network === 'neutral' && rules.neutralCooldown && state.neutralSwapCooldown && state.neutralSwapCooldown[color]) return 'neutral-cooldown';
+    const noReturn = rules.noReturn && state.personalNoReturn && state.personalNoReturn[color];
+    if (network === 'exclusive' && noReturn && noReturn[indexToSq(from)] === indexToSq(to)) return 'no-return';
+    return 'not-a-move';
+  }
+
+  if (req.castle || (type === KING && (from >> 4) === (to >> 4) && Math.abs(from - to) === 2)) return 'castling-not-allowed';
+  if (ownTarget) return 'own-piece';
+  const step = LINE_STEP[to - from + 119];
+  const slides = type === QUEEN || (type === ROOK && isOrthogonal(step)) || (type === BISHOP && !isOrthogonal(step));
+  if (step && slides && !rayClear(board, from, to, step)) return 'blocked-path';
+  if (type === PAWN) {
+    const forward = color === 'w' ? 16 : -16;
+    const startRank = color === 'w' ? 1 : 6;
+    if (to === from + forward && target) return 'blocked-path';
+    if (to === from + 2 * forward && (from >> 4) === startRank && (board[from + forward] || target)) return 'blocked-path';
+  }
+  return 'not-a-move';
+}
+
+// Check a requested move against the position. `move` is a move ID (see moveId) or an object
+// { from, to, promo?, choice? } where choice is 'STAY' or the portal exit to jump to; resolved
+// move objects are accepted as well. Returns { ok: true, move } with the legal resolved move
+// (carrying its id), or { ok: false, reason, message } with a MOVE_REJECTIONS code.
+export function validateMove(state, move) {
+  const reject = (reason) => ({ ok: false, reason, message: MOVE_REJECTIONS[reason] });
+  const req = moveRequest(state, move);
+  if (!req) return reject('bad-move');
+  let from, to;
+  try { from = sqToIndex(req.from); to = sqToIndex(req.to); } catch (e) { return reject('bad-move'); }
+  const piece = state.board[from];
+  if (!piece) return reject('no-piece');
+  const color = pieceColor(piece);
+  if (color !== state.turn) return reject('not-your-turn');
+
+  // The king moving onto its own castling rook asks for castling (the Chess960 convention, as
+  // the king's castling square may be where it stands or where a plain king step also goes)
+  const cr = state.castleRights || {};
+  for (const side of ['K', 'Q']) {
+    if ((piece & TYPE_MASK) !== KING || !cr[color === 'w' ? side : side.toLowerCase()]) continue;
+    if (castlingRook(state.board, color, side) !== to) continue;
+    req.castle = true;
+    to = (from & ~7) + (side === 'K' ? 6 : 2);
+    break;
+  }
+
+  // Base moves onto `to`; an object without a kind may mean either a move or an activation.
+  // A plain king step goes before castling onto the same square.
+  const pseudo = generatePseudoLegalMoves(state, req.from).filter(bm => sqToIndex(bm.to) === to);
+  let bases = pseudo.filter(bm => (bm.kind === 'portal-activation') === !!req.activation);
+  if (!bases.length && !req.activation && !req.castle) bases = pseudo;
+  if (req.castle) bases = bases.filter(bm => bm.kind === 'castle');
+  else if (bases.some(bm => bm.kind !== 'castle')) bases = bases.filter(bm => bm.kind !== 'castle');
+  if (!bases.length) return reject(unreachableReason(state, req, from, to));
+
+  if (bases[0].kind === 'promotion') {
+    if (!req.promo) return reject('promotion-required');
+    bases = bases.filter(bm => bm.meta.promo === String(req.promo).toUpperCase());
+    if (!bases.length) return reject('bad-promotion');
+  } else if (req.promo) {
+    return reject('bad-promotion');
+  }
+
+  const outcomes = bases.flatMap(bm => expandWithPortalOutcomes(state, bm));
+  if (!outcomes.length) return reject('not-a-move');
+  let chosen = outcomes;
+  if (req.choice) {
+    chosen = outcomes.filter(o => o.viaPortal && o.viaPortal.choice === req.choice);
+    // staying is always possible, also where a barred network leaves the piece a plain landing
+    if (!chosen.length && req.choice === 'STAY') chosen = outcomes.filter(o => !o.viaPortal);
+    if (!chosen.length) {
+      const landing = portalTypeAt(portalsOf(state), color, to);
+      if (landing && portalBarred(state, color, landing)) return reject('portal-barred');
+      const exitIdx = req.choice !== 'STAY' && SQ_LOOKUP.has(req.choice) ? sqToIndex(req.choice) : -1;
+      const exit = exitIdx >= 0 ? state.board[exitIdx] : 0;
+      if (exit && pieceColor(exit) === color) return reject('own-piece');
+      const jumps = exitIdx >= 0 && outcomes.some(o => o.viaPortal) && maskHas(portalsOf(state).byIndex.exitMask, 2 * to, exitIdx);
+      return reject(jumps && !portalRouteAllowed(state.board, piece, to, exitIdx) ? 'pawn-to-back-rank' : 'bad-portal-choice');
+    }
+  }
+
+  // Without a choice, a portal landing is only unambiguous when one outcome is legal
+  const legal = filterLegalByCheck(state, chosen);
+  if (!legal.length) {
+    const movesAgain = state.extraMoves && state.extraMoves[color] > 0;
+    return reject(movesAgain && filterLegalByCheck({ ...state, extraMoves: undefined }, chosen).length ? 'check-during-extra-moves' : 'leaves-king-in-check');
+  }
+  if (legal.length > 1) return reject('portal-choice-required');
+  return { ok: true, move: { ...legal[0], id: moveId(legal[0]) } };
+}
+
+// -------------------------
+// Perft (move generator verification)
+// -------------------------
+// Counts the leaf nodes of the legal move tree `depth` plies deep, split by how the last move
+// was made. A leaf may count in several buckets (e.g. a capture-promotion, a jump that swaps):
+//   captures    captures incl. en passant and capturing promotions (a swap is not a capture)
+//   enPassant   en passant captures
+//   swaps       portal jumps that swapped with an enemy piece on the exit (Rule 2)
+//   jumps       outcomes that ended on another portal: activations and landings that jumped
+//   castles     castling moves
+//   promotions  promotions (one per piece type)
+// With options.divide the result also has `divide`: { moveId: leaf count } for the root moves.
+export function perft(state, depth, options = {}) {
+  const counts = { nodes: 0, captures: 0, enPassant: 0, swaps: 0, jumps: 0, castles: 0, promotions: 0 };
+  const work = workingCopy(state);
+  const tally = (m) => {
+    counts.nodes++;
+    const via = m.viaPortal;
+    if (m.kind === 'capture' || m.kind === 'enpassant' || (m.kind === 'promotion' && m.from[0] !== m.to[0])) counts.captures++;
+    if (m.kind === 'enpassant') counts.enPassant++;
+    if (via && via.swapped) counts.swaps++;
+    if (via && via.choice && via.choice !== 'STAY') counts.jumps++;
+    if (m.kind === 'castle') counts.castles++;
+    if (m.kind === 'promotion') counts.promotions++;
+  };
+  const walk = (d) => {
+    const moves = generateLegalMoves(work);
+    if (d === 1) { moves.forEach(tally); return moves.length; }
+    let n = 0;
+    for (const m of moves) {
+      const undo = makeMove(work, m);
+      n += walk(d - 1);
+      unmakeMove(work, undo);
+    }
+    return n;
+  };
+
+  if (depth <= 0) { counts.nodes = 1; return counts; }
+  if (!options.divide) { walk(depth); return counts; }
+  counts.divide = {};
+  for (const m of generateLegalMoves(work)) {
+    if (depth === 1) { tally(m); counts.divide[m.id] = 1; continue; }
+    const undo = makeMove(work, m);
+    counts.divide[m.id] = walk(depth - 1);
+    unmakeMove(work, undo);
+  }
+  return counts;
+}
+
+// Fifty-move rule: 100 half-moves without a pawn move or capture (see applyResolvedMove for
+// how portal swaps are counted)
+export const FIFTY_MOVE_HALFMOVES = 100;
+export function isFiftyMoveDraw(state) {
+  return (state.halfmoveClock || 0) >= FIFTY_MOVE_HALFMOVES;
+}
+
+// Threefold repetition: the current position (per its Zobrist key, see positionKey for what counts)
+// has occurred at least three times
+export function isThreefoldRepetition(state) {
+  const keys = state.positionHistory;
+  if (!keys || keys.length < 5) return false;
+  const current = keys[keys.length - 1];
+  let count = 0;
+  for (const k of keys) if (k === current) count++;
+  return count >= 3;
+}
+
+// Insufficient material, adapted to portals. Only bare kings, or a single knight or bishop
+// against a bare king, count as dead: `node perft.js --verify-material` searches every such
+// placement on the standard layout and finds no checkmate for either side, portal checks included.
+// Unlike orthodox chess, bishops confined to one square colour are NOT dead material here:
+// the portal networks mix light and dark squares, so a bishop can change colour by jumping.
+// Custom layouts (e.g. portals in a corner) can let even a lone king give mate, and the search
+// only covered the standard rules, so other layouts and rule variants never end on material;
+// the fifty-move and repetition rules still apply.
+export function isInsufficientMaterial(state) {
+  if (portalLayoutTag(portalsOf(state)) !== portalLayoutTag(PORTALS)) return false;
+  if (rulesOf(state).name !== 'standard') return false;
+  let minors = 0;
+  for (const sq of BOARD_SQUARES) {
+    const type = state.board[sq] & TYPE_MASK;
+    if (!type || type === KING) continue;
+    if (type !== KNIGHT && type !== BISHOP) return false;
+    minors++;
+    if (minors > 1) return false;
+  }
+  return true;
+}
+
+// Convenience: overall game result.
+// Returns { result: 'ongoing'|'checkmate'|'stalemate'|'insufficient-material'|'repetition'|'fifty-move',
+//           winner: 'w'|'b'|null }
 export function gameResult(state) {
   // check both sides; if current side to move is checkmated, winner is opponent
   const whiteCheckmate = isCheckmate(state, 'w');
@@ -923,8 +1683,864 @@ export function gameResult(state) {
   const whiteStale = isStalemate(state, 'w');
   const blackStale = isStalemate(state, 'b');
   if (whiteStale || blackStale) return { result: 'stalemate', winner: null };
+  if (isInsufficientMaterial(state)) return { result: 'insufficient-material', winner: null };
+  if (isThreefoldRepetition(state)) return { result: 'repetition', winner: null };
+  // checkmate on the 100th half-move takes precedence over the draw
+  if (isFiftyMoveDraw(state)) return { result: 'fifty-move', winner: null };
   return { result: 'ongoing', winner: null };
 }
+// -------------------------
+// Move notation (SAN with portal extensions)
+// -------------------------
+// Standard SAN (piece letter, disambiguation, x, destination, =promo, O-O / O-O-O, +/#) plus:
+//   d5>f5    the piece landed on portal d5 and jumped to f5 (Rule 1a); landing on a portal and
+//            staying is written as a plain move (Nd5)
+//   @d5>f5   the piece started on portal d5 and activated it to jump to f5 (Rule 1b)
+//   *        suffix on a jump that swapped with an enemy piece on the exit square (Rule 2)
+// Examples: Nc3-d5 then jump: Nd5>f5, with a swap: Nd5>f5*, pawn activation: @g4>b5*, e.p.: exd6
+
+
+// SAN body without check suffix. `longForm` always writes the full origin square.
+function sanBody(state, move, others, longForm) {
+  if (move.kind === 'castle') return move.meta && move.meta.castle === 'Q' ? 'O-O-O' : 'O-O';
+  const from = move.from.toUpperCase();
+  const landing = move.to.toUpperCase();
+  const mover = pieceAt(state, from);
+  const letter = mover.type === 'P' ? '' : mover.type;
+  const via = move.viaPortal;
+  const jumped = via && via.choice && via.choice !== 'STAY';
+  const portalSuffix = jumped ? `>${(move.toFinal || move.to).toLowerCase()}${via.swapped ? '*' : ''}` : '';
+
+  if (move.kind === 'portal-activation') return `${letter}@${from.toLowerCase()}${portalSuffix}`;
+
+  const isCapture = move.kind === 'capture' || move.kind === 'enpassant'
+    || (move.kind === 'promotion' && from[0] !== landing[0]);
+  let disamb = '';
+  if (longForm) {
+    disamb = from.toLowerCase();
+  } else if (mover.type === 'P') {
+    if (isCapture) disamb = from[0].toLowerCase();
+  } else {
+    // other pieces of the same type that can also arrive on this landing square
+    const rivals = others.filter(o => o.kind !== 'portal-activation' && o.kind !== 'castle'
+      && o.from.toUpperCase() !== from && o.to.toUpperCase() === landing
+      && pieceAt(state, o.from) && pieceAt(state, o.from).type === mover.type);
+    if (rivals.length) {
+      const sameFile = rivals.some(o => o.from.toUpperCase()[0] === from[0]);
+      const sameRank = rivals.some(o => o.from.toUpperCase()[1] === from[1]);
+      if (!sameFile) disamb = from[0].toLowerCase();
+      else if (!sameRank) disamb = from[1];
+      else disamb = from.toLowerCase();
+    }
+  }
+  const promo = move.kind === 'promotion' ? `=${(move.meta && move.meta.promo) || move.promo || move.promotion}` : '';
+  return `${letter}${disamb}${isCapture ? 'x' : ''}${landing.toLowerCase()}${promo}${portalSuffix}`;
+}
+
+// Notation for a resolved outcome that is legal in `state`, including +/# suffixes
+export function moveToSAN(state, move) {
+  const body = sanBody(state, move, generateLegalMoves(state), false);
+  const after = applyResolvedMove(state, move);
+  if (!inCheck(after, after.turn)) return body;
+  return isCheckmate(after, after.turn) ? `${body}#` : `${body}+`;
+}
+
+// Map a notation string back to the exact legal resolved outcome, or null if none matches.
+// Accepts the canonical form as well as a fully disambiguated one (e.g. Ng1f3), with or
+// without +/#/!/? suffixes, and 0-0 for O-O.
+export function parseSAN(state, san) {
+  const wanted = String(san || '').trim().replace(/[+#!?]+$/, '').replace(/^0-0(-0)?$/, m => m.replace(/0/g, 'O'));
+  if (!wanted) return null;
+  const candidates = generateLegalMoves(state);
+  for (const m of candidates) {
+    if (sanBody(state, m, candidates, false) === wanted || sanBody(state, m, candidates, true) === wanted) return m;
+  }
+  return null;
+}
+
+// -------------------------
+// PFEN: portal-aware FEN
+// -------------------------
+// Eight space-separated fields, and an optional ninth:
+//   1. piece placement, rank 8 to rank 1, exactly as in FEN
+//   2. side to move: w | b
+//   3. castling rights: any of KQkq, or -; a rook file (e.g. G) replaces K/Q when another rook
+//      stands further out on that side (X-FEN, for Chess960 starts; see Castling)
+//   4. en passant target square (e.g. e3), or -
+//   5. halfmove clock
+//   6. move number
+//   7. neutral swap cooldown: the colours currently barred from the neutral network (w, b, wb), or -
+//   8. personal no-return mappings as `active/pending`, each a comma list of <color><landing><origin>
+//      (e.g. wf5d5: the white piece on f5 may not jump back to d5), or -
+//   9. handicap extra moves still to play, as a comma list of <color><count> (e.g. b1), or -;
+//      written only when it differs from what the handicap gives, i.e. once the extra moves began
+// Example (start position): rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 - -/-
+export function toPFEN(state) {
+  const rows = [];
+  for (let r = 7; r >= 0; r--) {
+    let row = '', empty = 0;
+    for (let f = 0; f < 8; f++) {
+      const p = state.board[r * 16 + f];
+      if (!p) { empty++; continue; }
+      if (empty) { row += empty; empty = 0; }
+      row += p & BLACK ? pieceType(p).toLowerCase() : pieceType(p);
+    }
+    if (empty) row += empty;
+    rows.push(row);
+  }
+  const cr = state.castleRights || {};
+  const rooks = castlingRooks(state);
+  // X-FEN: name the rook's file when it is not the outermost rook on its side (see Castling)
+  const castle = CASTLE_FLAGS.filter(k => cr[k]).map(k => {
+    const rook = rooks[k];
+    const color = k === 'K' || k === 'Q' ? 'w' : 'b';
+    if (rook < 0 || outermostRook(state.board, color, k.toUpperCase(), homeKing(state.board, color), false) === rook) return k;
+    return color === 'w' ? FILES[rook % 8] : FILES[rook % 8].toLowerCase();
+  }).join('') || '-';
+  const ep = state.enPassantTarget ? state.enPassantTarget.toLowerCase() : '-';
+  const cd = state.neutralSwapCooldown || {};
+  const cooldown = `${cd.w ? 'w' : ''}${cd.b ? 'b' : ''}` || '-';
+  const noReturn = (maps) => {
+    const parts = [];
+    for (const c of ['w', 'b']) {
+      for (const [land, origin] of Object.entries((maps && maps[c]) || {})) parts.push(`${c}${land}${origin}`.toLowerCase());
+    }
+    return parts.join(',') || '-';
+  };
+  const fields = [rows.join('/'), state.turn, castle, ep, state.halfmoveClock || 0, state.moveNumber || 1, cooldown,
+    `${noReturn(state.personalNoReturn)}/${noReturn(state.pendingPersonalNoReturn)}`];
+  const ex = state.extraMoves || {};
+  const given = state.handicap ? state.handicap.extraMoves : { w: 0, b: 0 };
+  if ((ex.w || 0) !== given.w || (ex.b || 0) !== given.b) {
+    fields.push(['w', 'b'].filter(c => ex[c]).map(c => `${c}${ex[c]}`).join(',') || '-');
+  }
+  return fields.join(' ');
+}
+
+// Parse a PFEN string into a fresh state (empty history). Throws on malformed input.
+// PFEN does not carry the portal layout, rule variant or handicap: pass options.layout /
+// options.variant / options.handicap for non-standard games. A handicap's removed pieces are
+// taken to be missing from the placement already; its extra moves are all still to play unless
+// the ninth field says how many are left.
+export function fromPFEN(pfen, options = {}) {
+  const fields = String(pfen || '').trim().split(/\s+/);
+  if (fields.length !== 8 && fields.length !== 9) throw new Error(`Bad PFEN: expected 8 or 9 fields, got ${fields.length}`);
+  const [placement, turn, castle, ep, half, full, cooldown, noReturn, extra] = fields;
+
+  const rows = placement.split('/');
+  if (rows.length !== 8) throw new Error(`Bad PFEN placement: ${placement}`);
+  const board = new Array(128).fill(0);
+  rows.forEach((row, i) => {
+    const r = 7 - i;
+    let f = 0;
+    for (const ch of row) {
+      if (/[1-8]/.test(ch)) { f += Number(ch); continue; }
+      const type = ch.toUpperCase();
+      if (!'PNBRQK'.includes(type) || f > 7) throw new Error(`Bad PFEN placement: ${placement}`);
+      board[r * 16 + f] = pieceCode(type, ch === type ? 'w' : 'b', true);
+      f++;
+    }
+    if (f !== 8) throw new Error(`Bad PFEN placement: ${placement}`);
+  });
+
+  if (turn !== 'w' && turn !== 'b') throw new Error(`Bad PFEN side to move: ${turn}`);
+  if (!/^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/.test(castle) || castle === '') throw new Error(`Bad PFEN castling rights: ${castle}`);
+  if (ep !== '-' && !/^[a-h][36]$/i.test(ep)) throw new Error(`Bad PFEN en passant square: ${ep}`);
+  const halfmoveClock = Number(half), moveNumber = Number(full);
+  if (!Number.isInteger(halfmoveClock) || halfmoveClock < 0) throw new Error(`Bad PFEN halfmove clock: ${half}`);
+  if (!Number.isInteger(moveNumber) || moveNumber < 1) throw new Error(`Bad PFEN move number: ${full}`);
+  if (!/^(-|w|b|wb)$/.test(cooldown)) throw new Error(`Bad PFEN neutral cooldown: ${cooldown}`);
+
+  const parseNoReturn = (str) => {
+    const out = { w: {}, b: {} };
+    if (str === '-') return out;
+    for (const entry of str.split(',')) {
+      const m = /^([wb])([a-h][1-8])([a-h][1-8])$/i.exec(entry);
+      if (!m) throw new Error(`Bad PFEN no-return entry: ${entry}`);
+      out[m[1].toLowerCase()][m[2].toUpperCase()] = m[3].toUpperCase();
+    }
+    return out;
+  };
+  const nr = noReturn.split('/');
+  if (nr.length !== 2) throw new Error(`Bad PFEN no-return field: ${noReturn}`);
+  let extraMoves = null;
+  if (extra !== undefined) {
+    if (!/^(-|[wb]\d+(,[wb]\d+)?)$/.test(extra)) throw new Error(`Bad PFEN extra moves: ${extra}`);
+    extraMoves = { w: 0, b: 0 };
+    for (const item of extra === '-' ? [] : extra.split(',')) extraMoves[item[0]] = Number(item.slice(1));
+  }
+
+  // hasMoved only matters for castling: kings and rooks that still hold a right are unmoved.
+  // K/Q/k/q name the outermost rook on that side of the king, a file letter the rook on that file.
+  const castleRights = { K: false, Q: false, k: false, q: false };
+  for (const ch of castle === '-' ? '' : castle) {
+    const color = ch === ch.toUpperCase() ? 'w' : 'b';
+    const king = homeKing(board, color);
+    let side = ch.toUpperCase(), rook = -1;
+    if (side !== 'K' && side !== 'Q') {
+      if (king < 0) throw new Error(`Bad PFEN castling rights: ${castle}`);
+      rook = (king & ~7) + FILES.indexOf(side);
+      side = rook > king ? 'K' : 'Q';
+    } else if (king >= 0) {
+      rook = outermostRook(board, color, side, king, false);
+    }
+    const flag = color === 'w' ? side : side.toLowerCase();
+    if (castleRights[flag]) throw new Error(`Bad PFEN castling rights: ${castle}`);
+    castleRights[flag] = true;
+    if (king >= 0) board[king] &= ~MOVED;
+    if (rook >= 0 && (board[rook] & PIECE_MASK) === (ROOK | colorBit(color))) board[rook] &= ~MOVED;
+  }
+  for (let f = 0; f < 8; f++) {
+    if ((board[16 + f] & PIECE_MASK) === PAWN) board[16 + f] &= ~MOVED;
+    if ((board[96 + f] & PIECE_MASK) === (PAWN | BLACK)) board[96 + f] &= ~MOVED;
+  }
+
+  const state = {
+    board,
+    turn,
+    moveNumber,
+    enPassantTarget: ep === '-' ? null : ep.toUpperCase(),
+    castleRights,
+    halfmoveClock,
+    portals: options.layout ? buildPortals(options.layout) : PORTALS,
+    variant: resolveVariant(options.variant),
+    neutralSwapCooldown: { w: cooldown.includes('w'), b: cooldown.includes('b') },
+    pendingPersonalNoReturn: parseNoReturn(nr[1]),
+    personalNoReturn: parseNoReturn(nr[0]),
+    history: [],
+    // remembered so game records can replay `history` from the right position
+    startPFEN: fields.join(' '),
+  };
+  const handicap = resolveHandicap(options.handicap);
+  if (extraMoves && ['w', 'b'].some(c => extraMoves[c] > (handicap ? handicap.extraMoves[c] : 0))) {
+    throw new Error(`Bad PFEN extra moves: ${extra} (more than the handicap gives)`);
+  }
+  if (handicap) {
+    state.handicap = handicap;
+    state.extraMoves = extraMoves || { ...handicap.extraMoves };
+  }
+  state.zobrist = computeZobrist(state);
+  state.positionHistory = [hashKey(state)];
+  return state;
+}
+
+// -------------------------
+// Position setup
+// -------------------------
+// Build a state from a piece placement for puzzles, tests and the analysis board. `setup`:
+//   pieces                   { E1: 'K', E8: 'k', D5: 'N', ... } (FEN letters, uppercase = white)
+//                            or { E1: { type: 'K', color: 'w' }, ... }
+//   placement                alternatively the board field of a PFEN, e.g. '4k3/8/8/8/8/8/8/4K3'
+//   turn                     side to move (default 'w')
+//   castleRights             'KQkq' / '-' (X-FEN file letters allowed) or { K, Q, k, q } (default none)
+//   enPassantTarget          square skipped by the pawn that just double-stepped (default none)
+//   halfmoveClock, moveNumber                           (defaults 0 and 1)
+//   neutralSwapCooldown      { w, b }                   (default none)
+//   personalNoReturn, pendingPersonalNoReturn  { w: { landing: origin }, b: { ... } } (default none)
+// options.layout / options.variant as for initialState(). The result starts a new game record
+// (startPFEN is set). Throws `Illegal position: ...` listing every problem positionProblems finds.
+export function setupPosition(setup = {}, options = {}) {
+  let board;
+  if (typeof setup.placement === 'string') {
+    board = fromPFEN(`${setup.placement} w - - 0 1 - -/-`).board;
+  } else {
+    board = new Array(128).fill(0);
+    for (const [sq, spec] of Object.entries(setup.pieces || {})) {
+      const piece = typeof spec === 'string'
+        ? { type: spec.toUpperCase(), color: spec === spec.toUpperCase() ? 'w' : 'b' }
+        : { type: spec && String(spec.type).toUpperCase(), color: spec && spec.color };
+      if (!'PNBRQK'.includes(piece.type) || piece.type.length !== 1 || (piece.color !== 'w' && piece.color !== 'b')) {
+        throw new Error(`Bad piece on ${sq}: ${JSON.stringify(spec)}`);
+      }
+      board[sqToIndex(sq)] = pieceCode(piece.type, piece.color, true);
+    }
+  }
+  const castleField = typeof setup.castleRights === 'string' ? setup.castleRights : null;
+  // Go through PFEN so hasMoved flags, the Zobrist key and the game record start are set up
+  // exactly as for any other position
+  const fields = toPFEN({
+    board,
+    turn: setup.turn || 'w',
+    castleRights: castleField === null ? setup.castleRights || {} : {},
+    enPassantTarget: setup.enPassantTarget || null,
+    halfmoveClock: setup.halfmoveClock || 0,
+    moveNumber: setup.moveNumber || 1,
+    neutralSwapCooldown: setup.neutralSwapCooldown,
+    personalNoReturn: setup.personalNoReturn,
+    pendingPersonalNoReturn: setup.pendingPersonalNoReturn,
+  }).split(' ');
+  if (castleField !== null) fields[2] = castleField;
+  const state = fromPFEN(fields.join(' '), options);
+  const problems = positionProblems(state);
+  if (problems.length) throw new Error(`Illegal position: ${problems.join('; ')}`);
+  return state;
+}
+
+// Everything that makes `state` an impossible position to play from, as readable sentences
+// (empty when it is fine): king count, pawns on the back ranks, the side not to move in check,
+// castling rights without the king and rook at home, an en passant square no double step can
+// explain, and no-return mappings that do not join two of the owner's own portals.
+export function positionProblems(state) {
+  const problems = [];
+  const board = state.board;
+  const kings = { w: 0, b: 0 };
+  for (const i of BOARD_SQUARES) {
+    const p = board[i];
+    if (!p) continue;
+    if ((p & TYPE_MASK) === KING) kings[pieceColor(p)]++;
+    if ((p & TYPE_MASK) === PAWN && isBackRank(i)) problems.push(`pawn on the back rank at ${indexToSq(i)}`);
+  }
+  for (const c of ['w', 'b']) {
+    if (kings[c] !== 1) problems.push(`${c === 'w' ? 'White' : 'Black'} has ${kings[c]} kings (exactly one needed)`);
+  }
+
+  const waiting = state.turn === 'w' ? 'b' : 'w';
+  if (kings[waiting] === 1 && inCheck(state, waiting)) {
+    problems.push(`${waiting === 'w' ? 'White' : 'Black'} is in check but it is not their move`);
+  }
+
+  const rooks = castlingRooks(state);
+  for (const right of CASTLE_FLAGS) {
+    if (!(state.castleRights || {})[right] || rooks[right] >= 0) continue;
+    const rank = right === 'K' || right === 'Q' ? 1 : 8;
+    problems.push(`castling right ${right} needs the king on rank ${rank} and a rook on its ${right.toUpperCase() === 'K' ? 'h' : 'a'}-file side`);
+  }
+
+  if (state.enPassantTarget) {
+    const ep = state.enPassantTarget.toUpperCase();
+    const mover = ep[1] === '6' ? 'b' : 'w';
+    const victim = pieceAt(state, enPassantVictimSq(ep));
+    const start = `${ep[0]}${mover === 'b' ? '7' : '2'}`;
+    if (mover === state.turn || !victim || victim.type !== 'P' || victim.color !== mover || pieceAt(state, ep) || pieceAt(state, start)) {
+      problems.push(`en passant square ${ep} does not follow a double pawn step by the side that just moved`);
+    }
+  }
+
+  const portals = portalsOf(state);
+  for (const [field, maps] of [['personalNoReturn', state.personalNoReturn], ['pendingPersonalNoReturn', state.pendingPersonalNoReturn]]) {
+    for (const c of ['w', 'b']) {
+      const own = c === 'w' ? portals.white : portals.black;
+      for (const [land, origin] of Object.entries((maps && maps[c]) || {})) {
+        if (!own.has(land) || !own.has(origin) || land === origin) {
+          problems.push(`${field} ${c} ${land}>${origin} must join two different ${c === 'w' ? 'white' : 'black'} portals`);
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+// -------------------------
+// Game records (PGN-style)
+// -------------------------
+// Standard PGN tag pairs and movetext, with moves in the portal SAN above. Extra tags:
+//   Variant   rule variant ("Portal Chess")
+//   Portals   portal layout, e.g. "w:d5,f5,e3,b3;b:c4,e4,d6,g6;n:b5-g4"
+//   Rules     rule variant when not standard: a VARIANTS name, or flags like "swap=0,noReturn=1"
+//   Handicap  odds given in the game, e.g. "remove:d1;extra:b1" (see handicapTag)
+//   SetUp/PFEN  starting position when the game did not begin from the initial position
+export const PGN_VARIANT = 'Portal Chess';
+
+export function portalLayoutTag(portals = PORTALS) {
+  const list = (set) => [...set].map(s => s.toLowerCase()).join(',');
+  const pairs = portals.neutralPairs.map(([a, b]) => `${a}-${b}`.toLowerCase()).join(',');
+  return `w:${list(portals.white)};b:${list(portals.black)};n:${pairs}`;
+}
+
+// Inverse of portalLayoutTag: returns a layout for initialState()/fromPFEN(). Throws on bad input.
+export function parsePortalLayoutTag(tag) {
+  const layout = { white: [], black: [], neutralPairs: [] };
+  for (const part of String(tag || '').split(';')) {
+    const m = /^\s*([wbn]):(.*)$/.exec(part);
+    if (!m) throw new Error(`Bad portal layout tag: ${tag}`);
+    const items = m[2].split(',').map(x => x.trim()).filter(Boolean);
+    if (m[1] === 'n') layout.neutralPairs = items.map(pair => pair.split('-').map(x => x.toUpperCase()));
+    else layout[m[1] === 'w' ? 'white' : 'black'] = items.map(x => x.toUpperCase());
+  }
+  buildPortals(layout); // validate
+  return layout;
+}
+
+// Rules tag value for a variant (undefined for standard rules, so the tag is left out)
+function rulesTag(variant) {
+  if (variant.name === 'standard') return undefined;
+  if (VARIANTS[variant.name]) return variant.name;
+  return RULE_FLAGS.map(k => `${k}=${variant[k] ? 1 : 0}`).join(',');
+}
+
+// Inverse of rulesTag. Throws on unknown variant names or flags.
+function parseRulesTag(tag) {
+  if (!tag.includes('=')) return resolveVariant(tag.trim());
+  const flags = {};
+  for (const part of tag.split(',')) {
+    const [k, v] = part.split('=').map(x => x.trim());
+    flags[k] = v === '1' || v === 'true';
+  }
+  return resolveVariant(flags);
+}
+
+// Handicap tag value, e.g. "remove:d1;extra:b1;barred:w-neutral" (see resolveHandicap)
+export function handicapTag(handicap) {
+  const h = resolveHandicap(handicap);
+  if (!h) return '';
+  const parts = [];
+  if (h.remove.length) parts.push(`remove:${h.remove.map(x => (x.length === 2 ? x.toLowerCase() : x)).join(',')}`);
+  const extra = ['w', 'b'].filter(c => h.extraMoves[c]).map(c => `${c}${h.extraMoves[c]}`);
+  if (extra.length) parts.push(`extra:${extra.join(',')}`);
+  const barred = ['w', 'b'].flatMap(c => h.barredPortals[c].map(n => `${c}-${n}`));
+  if (barred.length) parts.push(`barred:${barred.join(',')}`);
+  return parts.join(';');
+}
+
+// Inverse of handicapTag: a handicap spec for initialState()/fromPFEN(). Throws on bad input.
+export function parseHandicapTag(tag) {
+  const spec = {};
+  for (const part of String(tag || '').split(';').map(x => x.trim()).filter(Boolean)) {
+    const m = /^(remove|extra|barred):(.*)$/.exec(part);
+    if (!m) throw new Error(`Bad handicap tag: ${tag}`);
+    const items = m[2].split(',').map(x => x.trim()).filter(Boolean);
+    if (m[1] === 'remove') spec.remove = items;
+    else if (m[1] === 'extra') {
+      spec.extraMoves = {};
+      for (const item of items) {
+        const e = /^([wb])(\d+)$/.exec(item);
+        if (!e) throw new Error(`Bad handicap tag: ${tag}`);
+        spec.extraMoves[e[1]] = Number(e[2]);
+      }
+    } else {
+      spec.barredPortals = { w: [], b: [] };
+      for (const item of items) {
+        const b = /^([wb])-(\w+)$/.exec(item);
+        if (!b) throw new Error(`Bad handicap tag: ${tag}`);
+        spec.barredPortals[b[1]].push(b[2]);
+      }
+    }
+  }
+  resolveHandicap(spec); // validate
+  return spec;
+}
+
+// PGN result token for a finished state ('*' while the game is in progress)
+function pgnResultToken(state) {
+  const res = gameResult(state);
+  if (res.result === 'ongoing') return '*';
+  if (res.result === 'checkmate') return res.winner === 'w' ? '1-0' : '0-1';
+  return '1/2-1/2';
+}
+
+// Serialize `state.history` as a game record. `tags` may add or override any tag pair
+// (e.g. Event, White, Black, TimeControl, or Result/Termination for timeouts).
+export function gameToPGN(state, tags = {}) {
+  const layout = portalsOf(state).layout;
+  const variant = rulesOf(state);
+  const handicap = state.handicap || undefined;
+  const start = state.startPFEN ? fromPFEN(state.startPFEN, { layout, variant, handicap }) : initialState({ layout, variant, handicap });
+  const res = gameResult(state);
+  const all = {
+    Event: '?', Site: '?', Date: '????.??.??', Round: '?', White: '?', Black: '?',
+    Result: pgnResultToken(state),
+    Variant: PGN_VARIANT,
+    Portals: portalLayoutTag(portalsOf(state)),
+    Rules: rulesTag(variant),
+    Handicap: state.handicap ? handicapTag(state.handicap) : undefined,
+    ...(state.startPFEN ? { SetUp: '1', PFEN: state.startPFEN } : {}),
+    ...(res.result !== 'ongoing' ? { Termination: res.result } : {}),
+    ...tags,
+  };
+  const lines = Object.entries(all)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `[${k} "${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`);
+
+  const tokens = [];
+  let cur = start;
+  for (const mv of state.history || []) {
+    if (cur.turn === 'w') tokens.push(`${cur.moveNumber}.`);
+    else if (tokens.length === 0) tokens.push(`${cur.moveNumber}...`);
+    tokens.push(moveToSAN(cur, mv));
+    cur = applyResolvedMove(cur, mv);
+  }
+  tokens.push(all.Result);
+
+  // wrap movetext at 80 columns like most PGN writers
+  const text = [];
+  let line = '';
+  for (const t of tokens) {
+    if (line && line.length + 1 + t.length > 80) { text.push(line); line = t; }
+    else line = line ? `${line} ${t}` : t;
+  }
+  if (line) text.push(line);
+  return `${lines.join('\n')}\n\n${text.join('\n')}\n`;
+}
+
+// Parse a game record and rebuild the game by replaying every move through applyResolvedMove.
+// Returns { state, tags }. Throws on a malformed portal layout, Rules or Handicap tag, or on an illegal/unreadable move.
+export function gameFromPGN(text) {
+  const src = String(text || '');
+  const tags = {};
+  const tagRe = /\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/g;
+  let m;
+  while ((m = tagRe.exec(src))) tags[m[1]] = m[2].replace(/\\(["\\])/g, '$1');
+
+  const layout = tags.Portals ? parsePortalLayoutTag(tags.Portals) : undefined;
+  const variant = tags.Rules ? parseRulesTag(tags.Rules) : undefined;
+  const handicap = tags.Handicap ? parseHandicapTag(tags.Handicap) : undefined;
+  let state = tags.PFEN ? fromPFEN(tags.PFEN, { layout, variant, handicap }) : initialState({ layout, variant, handicap });
+
+  let movetext = src.replace(tagRe, ' ')
+    .replace(/\{[^}]*\}/g, ' ')   // comments
+    .replace(/;[^\n]*/g, ' ')     // rest-of-line comments
+    .replace(/\$\d+/g, ' ');      // NAGs
+  // strip (possibly nested) variations
+  while (/\([^()]*\)/.test(movetext)) movetext = movetext.replace(/\([^()]*\)/g, ' ');
+
+  const RESULTS = new Set(['1-0', '0-1', '1/2-1/2', '*']);
+  let ply = 0;
+  for (const raw of movetext.split(/\s+/)) {
+    const tok = raw.replace(/^\d+\.+/, '');
+    if (!tok || RESULTS.has(tok)) continue;
+    ply++;
+    const mv = parseSAN(state, tok);
+    if (!mv) throw new Error(`Illegal or unreadable move at ply ${ply}: ${tok}`);
+    state = applyResolvedMove(state, mv);
+  }
+  return { state, tags };
+}
+
+// -------------------------
+// Time controls
+// -------------------------
+// A time control spec for server rooms and the local clocks (all parts optional):
+//   minutes    starting time: a number, or { w, b } for time odds (default 10)
+//   increment  Fischer increment: seconds added to the mover's clock after each move
+//   delay      Bronstein delay: after each move the mover gets back the time that move took,
+//              up to this many seconds (so quick moves cost nothing). Excludes `increment`.
+//   moves      "N moves in T": every `moves` moves a side gets its starting time again
+// The clocks themselves ({ w, b } in milliseconds) belong to the caller; the helpers below only
+// say what a move does to them.
+const MAX_CLOCK_MINUTES = 600;
+const MAX_CLOCK_BONUS_SECONDS = 600;
+
+// Checks a time control spec and returns it in canonical form:
+// { minutes: { w, b }, increment, delay, moves } with 0 for unused parts. Throws `Bad time control: ...`.
+export function resolveTimeControl(spec = {}) {
+  const bad = (msg) => new Error(`Bad time control: ${msg}`);
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) throw bad('expected { minutes, increment, delay, moves }');
+  for (const k of Object.keys(spec)) if (!['minutes', 'increment', 'delay', 'moves'].includes(k)) throw bad(`unknown field ${k}`);
+  const m = spec.minutes === undefined ? 10 : spec.minutes;
+  const minutes = typeof m === 'object' && m !== null ? { w: m.w, b: m.b } : { w: m, b: m };
+  for (const c of ['w', 'b']) {
+    const v = minutes[c];
+    if (typeof v !== 'number' || !(v > 0 && v <= MAX_CLOCK_MINUTES)) throw bad(`minutes must be above 0 and at most ${MAX_CLOCK_MINUTES}`);
+  }
+  const seconds = (k) => {
+    const v = spec[k] === undefined ? 0 : spec[k];
+    if (typeof v !== 'number' || !(v >= 0 && v <= MAX_CLOCK_BONUS_SECONDS)) throw bad(`${k} must be 0-${MAX_CLOCK_BONUS_SECONDS} seconds`);
+    return v;
+  };
+  const increment = seconds('increment');
+  const delay = seconds('delay');
+  if (increment && delay) throw bad('use either an increment or a delay');
+  const moves = spec.moves === undefined ? 0 : spec.moves;
+  if (!Number.isInteger(moves) || moves < 0 || moves > 200) throw bad('moves must be 0-200');
+  return Object.freeze({ minutes: Object.freeze(minutes), increment, delay, moves });
+}
+
+// Starting clocks of a (resolved) time control, in milliseconds
+export function startingClocks(tc) {
+  return { w: tc.minutes.w * 60000, b: tc.minutes.b * 60000 };
+}
+
+// `color`'s clock once it has made a move: `remainingMs` is its time with the move already
+// charged, `spentMs` how long the move took and `movesMade` how many moves the side has made
+// counting this one. A flag that already fell stays down.
+export function clockAfterMove(tc, color, remainingMs, spentMs, movesMade) {
+  if (remainingMs <= 0) return 0;
+  let ms = remainingMs;
+  if (tc.increment) ms += tc.increment * 1000;
+  if (tc.delay) ms += Math.min(Math.max(0, spentMs), tc.delay * 1000);
+  if (tc.moves && movesMade > 0 && movesMade % tc.moves === 0) ms += tc.minutes[color] * 60000;
+  return ms;
+}
+
+// PGN TimeControl tag value for one side: seconds, "+inc" for an increment, "d<delay>" for a
+// delay (not in the PGN standard) and a "moves/" prefix for N moves in T, e.g. "300+2", "40/5400"
+export function timeControlTag(tc, color = 'w') {
+  const base = `${tc.moves ? `${tc.moves}/` : ''}${Math.round(tc.minutes[color] * 60)}`;
+  return base + (tc.increment ? `+${tc.increment}` : tc.delay ? `d${tc.delay}` : '');
+}
+
+// Inverse of timeControlTag: a time control spec. Throws on bad input.
+export function parseTimeControlTag(tag) {
+  const m = /^(?:(\d+)\/)?(\d+)(?:([+d])(\d+(?:\.\d+)?))?$/.exec(String(tag || '').trim());
+  if (!m) throw new Error(`Bad time control tag: ${tag}`);
+  const spec = { minutes: Number(m[2]) / 60 };
+  if (m[1]) spec.moves = Number(m[1]);
+  if (m[3] === '+') spec.increment = Number(m[4]);
+  if (m[3] === 'd') spec.delay = Number(m[4]);
+  resolveTimeControl(spec); // validate
+  return spec;
+}
+
+// -------------------------
+// State schema (wire and storage format)
+// -------------------------
+// serializeState(state) turns a game state into plain JSON-safe data and deserializeState(data)
+// checks such data (or its JSON text) and rebuilds a playable state. The server, the clients and
+// saved games all exchange states this way. Version 2 of the schema:
+//   schema                   'portal-chess-state'
+//   version                  2
+//   board                    64 entries indexed rank * 8 + file (A1 = 0):
+//                            null or { type: 'P'|'N'|'B'|'R'|'Q'|'K', color: 'w'|'b', hasMoved: boolean }
+//   turn                     'w' | 'b'
+//   moveNumber               integer >= 1
+//   halfmoveClock            integer >= 0
+//   enPassantTarget          null or the skipped square (rank 3 or 6)
+//   castleRights             { K, Q, k, q } booleans
+//   layout                   portal layout { white: [sq], black: [sq], neutralPairs: [[sq, sq]] }
+//   variant                  a VARIANTS name, or { name, label, ...rule flags } for custom rules
+//   neutralSwapCooldown      { w, b } booleans
+//   personalNoReturn         { w: { landing: origin }, b: { ... } } active no-return mappings
+//   pendingPersonalNoReturn  the same shape, mappings that become active next turn
+//   startPFEN                PFEN the game started from, or null for the standard start
+//   handicap                 null, or the odds of the game as { remove, extraMoves, barredPortals }
+//                            (see resolveHandicap)
+//   extraMoves               { w, b }: handicap extra moves each side still has to play
+//   history                  moves played since: { id, from, to, kind, toFinal, viaPortal?, meta?, promo? }
+//   positionHistory          hashKey of every position reached (history.length + 1 entries)
+// Squares are uppercase names. Keys come in this order and maps are sorted, so equal states
+// serialize to the same JSON text. Portal Sets and the Zobrist hash are derived again on load.
+// Data without a version is a raw engine state as sent before the schema existed (version 0)
+// and goes through STATE_MIGRATIONS first. deserializeState throws `Bad state: ...` on
+// anything malformed.
+export const STATE_SCHEMA = 'portal-chess-state';
+export const STATE_SCHEMA_VERSION = 2;
+
+const MOVE_KINDS = ['move', 'capture', 'enpassant', 'promotion', 'castle', 'portal-activation'];
+
+// The variant as schema data: its name when registered, its flags otherwise. Compares flags, not
+// identity: states copied with structuredClone (applyResolvedMove) carry their own variant object.
+function variantSpec(variant) {
+  const known = VARIANTS[variant.name];
+  if (known && RULE_FLAGS.every(k => !!variant[k] === known[k])) return variant.name;
+  const spec = { name: variant.name, label: variant.label };
+  for (const k of RULE_FLAGS) spec[k] = !!variant[k];
+  return spec;
+}
+
+// A history entry with only the fields the engine reads, in a fixed key order
+function canonicalMove(m) {
+  const out = { id: moveId(m), from: m.from.toUpperCase(), to: m.to.toUpperCase(), kind: m.kind, toFinal: (m.toFinal || m.to).toUpperCase() };
+  if (m.viaPortal) {
+    const v = m.viaPortal;
+    out.viaPortal = { entry: v.entry.toUpperCase(), network: v.network, choice: v.choice.toUpperCase(), swapped: !!v.swapped };
+  }
+  if (m.meta) {
+    out.meta = {};
+    for (const k of ['promo', 'castle', 'captured']) if (m.meta[k] !== undefined) out.meta[k] = m.meta[k];
+  }
+  if (m.promo) out.promo = m.promo;
+  return out;
+}
+
+export function serializeState(state) {
+  const layout = portalsOf(state).layout;
+  const cr = state.castleRights || {};
+  const cd = state.neutralSwapCooldown || {};
+  const sortedMap = (m) => Object.fromEntries(Object.entries(m || {}).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  const noReturn = (maps) => ({ w: sortedMap(maps && maps.w), b: sortedMap(maps && maps.b) });
+  return {
+    schema: STATE_SCHEMA,
+    version: STATE_SCHEMA_VERSION,
+    board: BOARD_SQUARES.map(sq => PIECE_VIEWS[state.board[sq]] && { ...PIECE_VIEWS[state.board[sq]] }),
+    turn: state.turn,
+    moveNumber: state.moveNumber,
+    halfmoveClock: state.halfmoveClock || 0,
+    enPassantTarget: state.enPassantTarget ? state.enPassantTarget.toUpperCase() : null,
+    castleRights: { K: !!cr.K, Q: !!cr.Q, k: !!cr.k, q: !!cr.q },
+    layout: { white: [...layout.white], black: [...layout.black], neutralPairs: layout.neutralPairs.map(pair => [...pair]) },
+    variant: variantSpec(rulesOf(state)),
+    neutralSwapCooldown: { w: !!cd.w, b: !!cd.b },
+    personalNoReturn: noReturn(state.personalNoReturn),
+    pendingPersonalNoReturn: noReturn(state.pendingPersonalNoReturn),
+    startPFEN: state.startPFEN || null,
+    handicap: state.handicap ? {
+      remove: [...state.handicap.remove],
+      extraMoves: { ...state.handicap.extraMoves },
+      barredPortals: { w: [...state.handicap.barredPortals.w], b: [...state.handicap.barredPortals.b] },
+    } : null,
+    extraMoves: { w: (state.extraMoves && state.extraMoves.w) || 0, b: (state.extraMoves && state.extraMoves.b) || 0 },
+    history: (state.history || []).map(canonicalMove),
+    positionHistory: [...(state.positionHistory || [])],
+  };
+}
+
+// Position keys of a game replayed from `start` (which is consumed)
+function replayPositionKeys(start, history) {
+  const keys = [hashKey(start)];
+  for (const mv of history) {
+    makeMove(start, mv);
+    keys.push(hashKey(start));
+  }
+  return keys;
+}
+
+// Upgrade steps: STATE_MIGRATIONS[n] turns version n data into version n + 1
+const STATE_MIGRATIONS = {
+  // Raw engine state after a JSON round-trip: the portal Sets arrive as empty objects (only the
+  // plain `layout` copy, when present, survives), the variant arrives as a flags object, and
+  // positionHistory may hold the readable position keys used before Zobrist hashing.
+  0(raw) {
+    const portals = raw.portals || {};
+    let layout = DEFAULT_PORTAL_LAYOUT;
+    if (portals.layout) layout = portals.layout;
+    else if (Array.isArray(portals.white) && Array.isArray(portals.black)) {
+      layout = { white: portals.white, black: portals.black, neutralPairs: portals.neutralPairs || [] };
+    }
+    let variant = 'standard';
+    if (raw.variant && typeof raw.variant === 'object') {
+      const flags = {};
+      for (const k of RULE_FLAGS) if (k in raw.variant) flags[k] = raw.variant[k];
+      if (raw.variant.name && !VARIANTS[raw.variant.name]) flags.name = raw.variant.name;
+      variant = variantSpec(resolveVariant(flags));
+    }
+    const history = Array.isArray(raw.history) ? raw.history : [];
+    let positionHistory = raw.positionHistory;
+    const hashed = Array.isArray(positionHistory) && positionHistory.length === history.length + 1
+      && positionHistory.every(k => /^[0-9a-f]{16}$/.test(k));
+    if (!hashed) {
+      try {
+        const start = raw.startPFEN ? fromPFEN(raw.startPFEN, { layout, variant }) : initialState({ layout, variant });
+        positionHistory = replayPositionKeys(start, history);
+      } catch (e) {
+        throw new Error(`Bad state: cannot replay the game history (${e.message})`);
+      }
+    }
+    return {
+      schema: STATE_SCHEMA,
+      version: 1,
+      board: raw.board,
+      turn: raw.turn,
+      moveNumber: raw.moveNumber,
+      halfmoveClock: raw.halfmoveClock || 0,
+      enPassantTarget: raw.enPassantTarget || null,
+      castleRights: raw.castleRights,
+      layout,
+      variant,
+      neutralSwapCooldown: raw.neutralSwapCooldown || { w: false, b: false },
+      personalNoReturn: raw.personalNoReturn || { w: {}, b: {} },
+      pendingPersonalNoReturn: raw.pendingPersonalNoReturn || { w: {}, b: {} },
+      startPFEN: raw.startPFEN || null,
+      history,
+      positionHistory,
+    };
+  },
+  // Handicap games: earlier states had no odds
+  1(raw) {
+    return { ...raw, version: 2, handicap: null, extraMoves: { w: 0, b: 0 } };
+  },
+};
+
+export function deserializeState(data) {
+  const bad = (msg) => new Error(`Bad state: ${msg}`);
+  let raw = data;
+  if (typeof raw === 'string') {
+    try { raw = JSON.parse(raw); } catch (e) { throw bad(`not JSON (${e.message})`); }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw bad('expected an object');
+  let version = raw.version === undefined ? 0 : raw.version;
+  if (version !== 0 && raw.schema !== STATE_SCHEMA) throw bad(`unknown schema ${raw.schema}`);
+  if (!Number.isInteger(version) || version < 0 || version > STATE_SCHEMA_VERSION) throw bad(`unsupported version ${raw.version}`);
+  while (version < STATE_SCHEMA_VERSION) raw = STATE_MIGRATIONS[version++](raw);
+
+  const isSq = (s) => typeof s === 'string' && /^[A-H][1-8]$/.test(s);
+  const isBool = (b) => typeof b === 'boolean';
+
+  if (!Array.isArray(raw.board) || raw.board.length !== 64) throw bad('board must have 64 entries');
+  const kings = { w: 0, b: 0 };
+  const board = new Array(128).fill(0);
+  raw.board.forEach((p, i) => {
+    if (p === null) return;
+    if (!p || !'PNBRQK'.includes(p.type) || p.type.length !== 1 || (p.color !== 'w' && p.color !== 'b') || !isBool(p.hasMoved)) {
+      throw bad(`bad piece on ${indexToSq(sq88(i))}`);
+    }
+    if (p.type === 'K') kings[p.color]++;
+    board[sq88(i)] = pieceCode(p.type, p.color, p.hasMoved);
+  });
+  if (kings.w !== 1 || kings.b !== 1) throw bad('each side needs exactly one king');
+  if (raw.turn !== 'w' && raw.turn !== 'b') throw bad(`bad side to move ${raw.turn}`);
+  if (!Number.isInteger(raw.moveNumber) || raw.moveNumber < 1) throw bad(`bad move number ${raw.moveNumber}`);
+  if (!Number.isInteger(raw.halfmoveClock) || raw.halfmoveClock < 0) throw bad(`bad halfmove clock ${raw.halfmoveClock}`);
+  if (raw.enPassantTarget !== null && !(isSq(raw.enPassantTarget) && /[36]$/.test(raw.enPassantTarget))) {
+    throw bad(`bad en passant square ${raw.enPassantTarget}`);
+  }
+  const cr = raw.castleRights;
+  if (!cr || !['K', 'Q', 'k', 'q'].every(k => isBool(cr[k]))) throw bad('castleRights needs K, Q, k and q booleans');
+
+  let portals, variant;
+  try { portals = buildPortals(raw.layout); } catch (e) { throw bad(e.message); }
+  try { variant = resolveVariant(raw.variant); } catch (e) { throw bad(e.message); }
+
+  const cd = raw.neutralSwapCooldown;
+  if (!cd || !isBool(cd.w) || !isBool(cd.b)) throw bad('neutralSwapCooldown needs w and b booleans');
+  const noReturn = (maps, name) => {
+    if (!maps || typeof maps !== 'object') throw bad(`${name} must be { w: {}, b: {} }`);
+    const out = { w: {}, b: {} };
+    for (const c of ['w', 'b']) {
+      if (!maps[c] || typeof maps[c] !== 'object') throw bad(`${name}.${c} must be an object`);
+      for (const [land, origin] of Object.entries(maps[c])) {
+        if (!isSq(land) || !isSq(origin)) throw bad(`bad ${name} entry ${land}: ${origin}`);
+        out[c][land] = origin;
+      }
+    }
+    return out;
+  };
+
+  let handicap;
+  try { handicap = resolveHandicap(raw.handicap); } catch (e) { throw bad(e.message); }
+  if (raw.startPFEN !== null) {
+    if (typeof raw.startPFEN !== 'string') throw bad('startPFEN must be a string or null');
+    try { fromPFEN(raw.startPFEN, { handicap }); } catch (e) { throw bad(e.message); }
+  }
+  const ex = raw.extraMoves;
+  const extraOk = (c) => Number.isInteger(ex[c]) && ex[c] >= 0 && ex[c] <= (handicap ? handicap.extraMoves[c] : 0);
+  if (!ex || !extraOk('w') || !extraOk('b')) throw bad('extraMoves needs w and b counts no larger than the handicap gives');
+  if (!Array.isArray(raw.history)) throw bad('history must be an array');
+  const history = raw.history.map((m, i) => {
+    const ok = m && isSq(m.from) && isSq(m.to) && MOVE_KINDS.includes(m.kind) && (m.toFinal === undefined || isSq(m.toFinal))
+      && (!m.viaPortal || (isSq(m.viaPortal.entry) && (m.viaPortal.choice === 'STAY' || isSq(m.viaPortal.choice))));
+    if (!ok) throw bad(`bad history move ${i + 1}`);
+    return canonicalMove(m);
+  });
+  const keys = raw.positionHistory;
+  if (!Array.isArray(keys) || keys.length !== history.length + 1 || !keys.every(k => typeof k === 'string' && /^[0-9a-f]{16}$/.test(k))) {
+    throw bad('positionHistory must hold one 16-digit hash key per position reached');
+  }
+
+  const state = {
+    board,
+    turn: raw.turn,
+    moveNumber: raw.moveNumber,
+    enPassantTarget: raw.enPassantTarget,
+    castleRights: { K: cr.K, Q: cr.Q, k: cr.k, q: cr.q },
+    halfmoveClock: raw.halfmoveClock,
+    portals,
+    variant,
+    neutralSwapCooldown: { w: cd.w, b: cd.b },
+    pendingPersonalNoReturn: noReturn(raw.pendingPersonalNoReturn, 'pendingPersonalNoReturn'),
+    personalNoReturn: noReturn(raw.personalNoReturn, 'personalNoReturn'),
+    history,
+  };
+  if (raw.startPFEN) state.startPFEN = raw.startPFEN;
+  if (handicap) {
+    state.handicap = handicap;
+    state.extraMoves = { w: ex.w, b: ex.b };
+  }
+  state.zobrist = computeZobrist(state);
+  state.positionHistory = [...keys];
+  if (keys[keys.length - 1] !== hashKey(state)) throw bad('positionHistory does not end with this position');
+  return state;
+}
+
 // --- Sample-based audio loader ---
 export const SOUND_FILES = {
   move: '/sounds/move.mp3',
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/*
+  perft.js
+  Count the legal move tree of a position to verify the move generator.
+
+  Usage:
+    node perft.js <PFEN> <DEPTH> [--divide] [--rules=<variant>] [--layout=<portal layout tag>] [--handicap=<handicap tag>]
+    node perft.js --check [POSITIONS_FILE]
+    node perft.js --verify-check [GAMES] [POSITIONS_FILE]
+    node perft.js --verify-hash [GAMES] [POSITIONS_FILE]
+    node perft.js --verify-material
+    node perft.js --verify-state [GAMES] [POSITIONS_FILE]
+  Examples:
+    node perft.js "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 - -/-" 3 --divide
+    node perft.js --check
+    node perft.js --verify-check 20
+
+  The first form prints the leaf count split by move kind (see perft() in engine.js) and, with
+  --divide, the leaf count below every root move by move ID. The second form recomputes every
+  entry of the reference file (perft-positions.json by default) and exits non-zero when a count
+  differs, so run it after any change to move generation.
+
+  The third form plays GAMES seeded random games (default 10) from every reference position and,
+  after each pseudo-legal outcome at every ply, compares inCheck() and explainCheck() for both
+  kings against inCheckByGeneration(), which expands every opponent move. It exits non-zero on any mismatch,
+  so run it after any change to attack detection.
+
+  --verify-hash plays the same games and, before every ply and after making every pseudo-legal
+  outcome, compares the incrementally updated Zobrist key (state.zobrist) and the last
+  positionHistory entry with computeZobrist(); after each unmakeMove the key must be back to
+  its old value. It exits non-zero on any mismatch, so run it after any change to makeMove,
+  unmakeMove or the state the key covers.
+
+  The fourth form backs isInsufficientMaterial() in engine.js: on the default portal layout and
+  standard rules it sets up every placement of K v K, K+N v K and K+B v K (the minor piece on
+  either side) with either side to move, and looks for a checkmate. It exits non-zero when one
+  exists, so run it after any change to the portal layout or the rules.
+
+  --verify-state plays GAMES seeded random games from every reference position through
+  applyResolvedMove, the way the server does, and before every ply checks that
+  serializeState(deserializeState(json)) gives back the same JSON text and the same position key,
+  and that fromPFEN(toPFEN(state)) gives back the same PFEN and position key. It exits non-zero on
+  any difference, so run it after any change to the state, its schema or PFEN.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  fromPFEN, perft, parsePortalLayoutTag, parseHandicapTag, generatePseudoLegalMoves, expandWithPortalOutcomes,
+  generateLegalMoves, makeMove, unmakeMove, inCheck, inCheckByGeneration, explainCheck, toPFEN,
+  isCheckmate, isInsufficientMaterial, computeZobrist, hashKey, pieceAt, applyResolvedMove,
+  serializeState, deserializeState,
+} from './engine.js';
+
+const COUNT_KEYS = ['nodes', 'captures', 'enPassant', 'swaps', 'jumps', 'castles', 'promotions'];
+const DEFAULT_POSITIONS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'perft-positions.json');
+
+function loadState(pfen, rules, layoutTag, handicapTag) {
+  const layout = layoutTag ? parsePortalLayoutTag(layoutTag) : undefined;
+  const handicap = handicapTag ? parseHandicapTag(handicapTag) : undefined;
+  return fromPFEN(pfen, { layout, variant: rules || undefined, handicap });
+}
+
+function formatCounts(counts) {
+  return COUNT_KEYS.map(k => `${k} ${counts[k]}`).join('  ');
+}
+
+function runOne(args) {
+  const flags = args.filter(a => a.startsWith('--'));
+  const [pfen, depthArg] = args.filter(a => !a.startsWith('--'));
+  const depth = Number(depthArg);
+  if (!pfen || !Number.isInteger(depth) || depth < 0) {
+    console.error('Usage: node perft.js <PFEN> <DEPTH> [--divide] [--rules=<variant>] [--layout=<tag>] [--handicap=<tag>]');
+    process.exit(2);
+  }
+  const option = (name) => {
+    const f = flags.find(x => x.startsWith(`--${name}=`));
+    return f ? f.slice(name.length + 3) : undefined;
+  };
+  const state = loadState(pfen, option('rules'), option('layout'), option('handicap'));
+
+  const t0 = Date.now();
+  const counts = perft(state, depth, { divide: flags.includes('--divide') });
+  if (counts.divide) {
+    for (const [id, n] of Object.entries(counts.divide).sort(([a], [b]) => a.localeCompare(b))) console.log(`${id}: ${n}`);
+    console.log('');
+  }
+  console.log(`depth ${depth}  ${formatCounts(counts)}`);
+  console.log(`time ${((Date.now() - t0) / 1000).toFixed(2)}s`);
+}
+
+function runCheck(file) {
+  const positions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  let failures = 0;
+  for (const pos of positions) {
+    const state = loadState(pos.pfen, pos.rules, pos.layout, pos.handicap);
+    for (const [depth, expected] of Object.entries(pos.depths)) {
+      const counts = perft(state, Number(depth));
+      const bad = COUNT_KEYS.filter(k => (expected[k] || 0) !== counts[k]);
+      if (bad.length) {
+        failures++;
+        console.log(`FAIL ${pos.name} depth ${depth}`);
+        for (const k of bad) console.log(`     ${k}: expected ${expected[k] || 0}, got ${counts[k]}`);
+      } else {
+        console.log(`ok   ${pos.name} depth ${depth} (${counts.nodes} nodes)`);
+      }
+    }
+  }
+  console.log(failures ? `${failures} perft mismatch(es)` : 'All perft counts match');
+  process.exit(failures ? 1 : 0);
+}
+
+// Small seeded generator so --verify-check failures can be reproduced
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const MAX_PLIES = 80;
+const SQUARES = [];
+for (const r of '12345678') for (const f of 'ABCDEFGH') SQUARES.push(`${f}${r}`);
+
+// PFEN piece placement of 64 cells in SQUARES order, each a FEN letter or ''
+function placementOf(cells) {
+  const rows = [];
+  for (let r = 7; r >= 0; r--) {
+    rows.push(cells.slice(r * 8, r * 8 + 8).map(c => c || '1').join('').replace(/1+/g, run => String(run.length)));
+  }
+  return rows.join('/');
+}
+
+// GAMES seeded random games from a reference position; visit(state, label) runs before every ply
+function playRandomGames(pos, games, visit) {
+  for (let g = 0; g < games; g++) {
+    const state = loadState(pos.pfen, pos.rules, pos.layout, pos.handicap);
+    const rand = mulberry32(g + 1);
+    for (let ply = 0; ply < MAX_PLIES; ply++) {
+      visit(state, `${pos.name} game ${g + 1} ply ${ply}`);
+      const moves = generateLegalMoves(state);
+      if (moves.length === 0) break;
+      makeMove(state, moves[Math.floor(rand() * moves.length)]);
+    }
+  }
+}
+
+// Make every pseudo-legal outcome of the side to move, call fn(state, outcome), then unmake it.
+// Positions that leave the mover's own king attacked are what filterLegalByCheck sees.
+function forEachOutcome(state, fn) {
+  for (const sq of SQUARES) {
+    const p = pieceAt(state, sq);
+    if (!p || p.color !== state.turn) continue;
+    for (const bm of generatePseudoLegalMoves(state, sq)) {
+      for (const o of expandWithPortalOutcomes(state, bm)) {
+        const undo = makeMove(state, o);
+        fn(state, o);
+        unmakeMove(state, undo);
+      }
+    }
+  }
+}
+
+function runVerifyCheck(games, file) {
+  const positions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  let checked = 0, mismatches = 0;
+  const compare = (state, label) => {
+    for (const color of ['w', 'b']) {
+      checked++;
+      const fast = inCheck(state, color), slow = inCheckByGeneration(state, color);
+      const explained = explainCheck(state, color).inCheck;
+      if (fast === slow && explained === slow) continue;
+      mismatches++;
+      console.log(`MISMATCH ${label}: ${color} inCheck ${fast}, explainCheck ${explained}, by generation ${slow}`);
+      console.log(`     ${toPFEN(state)}`);
+    }
+  };
+  for (const pos of positions) {
+    playRandomGames(pos, games, (state, label) => {
+      compare(state, label);
+      forEachOutcome(state, (after, o) => compare(after, `${label} after ${o.from}-${o.toFinal || o.to}`));
+    });
+    console.log(`${mismatches ? 'FAIL' : 'ok  '} ${pos.name} (${checked} comparisons so far)`);
+  }
+  console.log(mismatches ? `${mismatches} check detection mismatch(es)` : `inCheck matches the reference in all ${checked} comparisons`);
+  process.exit(mismatches ? 1 : 0);
+}
+
+function runVerifyHash(games, file) {
+  const positions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  let checked = 0, mismatches = 0;
+  const fail = (label, state, what) => {
+    mismatches++;
+    console.log(`MISMATCH ${label}: ${what}`);
+    console.log(`     ${toPFEN(state)}`);
+  };
+  const compare = (state, label) => {
+    checked++;
+    const [hi, lo] = computeZobrist(state);
+    const key = hashKey(state);
+    if (!state.zobrist || state.zobrist[0] !== hi || state.zobrist[1] !== lo) fail(label, state, `key ${key}, recomputed ${hashKey({ zobrist: [hi, lo] })}`);
+    else if (state.positionHistory[state.positionHistory.length - 1] !== key) fail(label, state, `positionHistory ends in ${state.positionHistory[state.positionHistory.length - 1]}, key ${key}`);
+  };
+  for (const pos of positions) {
+    playRandomGames(pos, games, (state, label) => {
+      compare(state, label);
+      const before = hashKey(state);
+      forEachOutcome(state, (after, o) => compare(after, `${label} after ${o.from}-${o.toFinal || o.to}`));
+      if (hashKey(state) !== before) fail(label, state, `key ${hashKey(state)} after unmaking, was ${before}`);
+    });
+    console.log(`${mismatches ? 'FAIL' : 'ok  '} ${pos.name} (${checked} keys so far)`);
+  }
+  console.log(mismatches ? `${mismatches} Zobrist key mismatch(es)` : `The incremental Zobrist key matches computeZobrist in all ${checked} positions`);
+  process.exit(mismatches ? 1 : 0);
+}
+
+// Every legal placement of the material isInsufficientMaterial() calls dead, searched for mates.
+// Positions are fresh: no castling, en passant or portal restrictions pending.
+function runVerifyMaterial() {
+  // control: the search has to recognise an ordinary mate
+  if (!isCheckmate(fromPFEN('4k3/4Q3/4K3/8/8/8/8/8 b - - 0 1 - -/-'), 'b')) throw new Error('isCheckmate misses a plain queen mate');
+  const sets = [[], [['N', 'w']], [['B', 'w']], [['N', 'b']], [['B', 'b']]];
+  let positions = 0, mates = 0;
+  for (const extra of sets) {
+    const pieces = [['K', 'w'], ['K', 'b'], ...extra];
+    let tried = 0, found = 0;
+    // FEN letter on each square, A1 first
+    const cells = new Array(64).fill('');
+    // place pieces[k..] on every free square, then test both sides to move
+    const place = (k) => {
+      if (k === pieces.length) {
+        for (const turn of ['w', 'b']) {
+          const state = fromPFEN(`${placementOf(cells)} ${turn} - - 0 1 - -/-`);
+          // the side that just moved may not be in check
+          if (inCheck(state, turn === 'w' ? 'b' : 'w')) continue;
+          tried++;
+          if (!isInsufficientMaterial(state)) throw new Error(`isInsufficientMaterial rejects ${toPFEN(state)}`);
+          if (!isCheckmate(state, turn)) continue;
+          found++;
+          console.log(`MATE ${toPFEN(state)}`);
+        }
+        return;
+      }
+      const [type, color] = pieces[k];
+      for (let i = 0; i < 64; i++) {
+        if (cells[i]) continue;
+        cells[i] = color === 'w' ? type : type.toLowerCase();
+        place(k + 1);
+        cells[i] = '';
+      }
+    };
+    place(0);
+    positions += tried;
+    mates += found;
+    const label = extra.length ? `K+${extra[0][0]} v K, ${extra[0][1] === 'w' ? 'white' : 'black'} ${extra[0][0]}` : 'K v K';
+    console.log(`${found ? 'FAIL' : 'ok  '} ${label} (${tried} positions)`);
+  }
+  console.log(mates ? `${mates} checkmate(s) with material counted as insufficient` : `No checkmate in any of ${positions} positions`);
+  process.exit(mates ? 1 : 0);
+}
+
+function runVerifyState(games, file) {
+  const positions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  let checked = 0, mismatches = 0;
+  for (const pos of positions) {
+    for (let g = 0; g < games; g++) {
+      let state = loadState(pos.pfen, pos.rules, pos.layout, pos.handicap);
+      const rand = mulberry32(g + 1);
+      for (let ply = 0; ply < MAX_PLIES; ply++) {
+        checked++;
+        const json = JSON.stringify(serializeState(state));
+        const back = deserializeState(json);
+        const again = JSON.stringify(serializeState(back));
+        if (again !== json || hashKey(back) !== hashKey(state)) {
+          mismatches++;
+          const at = [...json].findIndex((c, i) => c !== again[i]);
+          console.log(`MISMATCH ${pos.name} game ${g + 1} ply ${ply}: serialized state differs after a round-trip`);
+          console.log(`     was   ...${json.slice(Math.max(0, at - 40), at + 80)}`);
+          console.log(`     now   ...${again.slice(Math.max(0, at - 40), at + 80)}`);
+        }
+        const pfen = toPFEN(state);
+        const reloaded = loadState(pfen, pos.rules, pos.layout, pos.handicap);
+        if (toPFEN(reloaded) !== pfen || hashKey(reloaded) !== hashKey(state)) {
+          mismatches++;
+          console.log(`MISMATCH ${pos.name} game ${g + 1} ply ${ply}: PFEN round-trip gives key ${hashKey(reloaded)}, was ${hashKey(state)}`);
+          console.log(`     ${pfen}`);
+        }
+        const moves = generateLegalMoves(state);
+        if (moves.length === 0) break;
+        state = applyResolvedMove(state, moves[Math.floor(rand() * moves.length)]);
+      }
+    }
+    console.log(`${mismatches ? 'FAIL' : 'ok  '} ${pos.name} (${checked} states so far)`);
+  }
+  console.log(mismatches ? `${mismatches} state round-trip mismatch(es)` : `serializeState and PFEN round-trip all ${checked} states`);
+  process.exit(mismatches ? 1 : 0);
+}
+
+const args = process.argv.slice(2);
+if (args[0] === '--check') runCheck(args[1] || DEFAULT_POSITIONS);
+else if (args[0] === '--verify-check') runVerifyCheck(Number(args[1]) || 10, args[2] || DEFAULT_POSITIONS);
+else if (args[0] === '--verify-hash') runVerifyHash(Number(args[1]) || 10, args[2] || DEFAULT_POSITIONS);
+else if (args[0] === '--verify-material') runVerifyMaterial();
+else if (args[0] === '--verify-state') runVerifyState(Number(args[1]) || 10, args[2] || DEFAULT_POSITIONS);
+else runOne(args);
@@ -6,7 +6,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import engine functions from the project so the server is authoritative
-import { initialState, generatePseudoLegalMoves, expandWithPortalOutcomes, filterLegalByCheck, applyResolvedMove, gameResult } from './engine.js';
+import { initialState, validateMove, MOVE_REJECTIONS, applyResolvedMove, gameResult, serializeState, resolveTimeControl, startingClocks, clockAfterMove, buildPortals, resolveVariant, chess960BackRank, resolveHandicap } from './engine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,181 +46,325 @@ app.get('*', (req, res) => {
 });
 
 // Simple in-memory rooms store. Each room holds game state and clock info.
-// { roomId: { sockets: Set, state, locked, host, over, clock: {w,b}, lastTick, clockInterval } }
+// { roomId: { sockets: Set, state, locked, seats: {w,b}, over, timeControl, clock: {w,b}, movesMade: {w,b}, turnStartedAt, flagTimer } }
+// timeControl is the room's resolved time control (see resolveTimeControl in engine.js)
+// seats maps each colour to { token, socketId } once a player claimed it (null before). socketId
+// is null while that player is disconnected; the seat stays theirs, see joinRoom.
+// locked is true while both seated players are connected.
 const rooms = new Map();
 
 function makeRoomId(len = 5) {
   return randomBytes(Math.ceil(len/2)).toString('hex').slice(0, len);
 }
 
+// Secret handed to the player who claims a seat; presenting it to joinRoom takes the seat back
+function makeSeatToken() {
+  return randomBytes(16).toString('hex');
+}
+
+// The colour `socketId` plays in `room`, or null when it holds no seat
+function seatOf(room, socketId) {
+  for (const color of ['w', 'b']) {
+    if (room.seats[color] && room.seats[color].socketId === socketId) return color;
+  }
+  return null;
+}
+
+// Room clocks are event driven. room.clock holds each side's time as of room.turnStartedAt, the
+// moment the side to move started thinking (null while the clock is stopped), and the time left
+// now is worked out from that timestamp. A single timer per room (room.flagTimer) fires when the
+// side to move runs out. Clocks are only broadcast when something changes: game start, moves,
+// pauses and the end of the game; clients count the running clock down between snapshots.
+
+// Longest delay setTimeout honours (ms)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Each side's time left at `now` (ms)
+function roomClocks(room, now = Date.now()) {
+  const clocks = { w: room.clock.w, b: room.clock.b };
+  if (room.turnStartedAt !== null) {
+    const turn = room.state.turn;
+    clocks[turn] = Math.max(0, clocks[turn] - (now - room.turnStartedAt));
+  }
+  return clocks;
+}
+
+// Send both players a clock snapshot; `running` is false while the clock is stopped
+function emitRoomClock(roomId, now = Date.now()) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  io.to(roomId).emit('clock', { clocks: roomClocks(room, now), turn: room.state.turn, running: room.turnStartedAt !== null, ts: now, timeControl: room.timeControl });
+}
+
+// Start (or resume) timing the side to move
+function startRoomClock(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || room.over) return;
+  if (room.turnStartedAt === null) room.turnStartedAt = Date.now();
+  scheduleFlagFall(roomId);
+}
+
+// Arm the room's flag-fall timer for the side to move, replacing any earlier one
+function scheduleFlagFall(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (room.flagTimer) clearTimeout(room.flagTimer);
+  // Timers may fire a little early; flagFall re-arms itself while time is left. Node fires
+  // delays above 2^31-1 ms at once, so long clocks are watched in steps of that size.
+  const delay = Math.min(roomClocks(room)[room.state.turn] + 5, MAX_TIMER_DELAY);
+  room.flagTimer = setTimeout(() => flagFall(roomId), delay);
+}
+
+// Stop the clock (pause or game end), banking the time the side to move has left
+function stopRoomClock(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (room.flagTimer) {
+    clearTimeout(room.flagTimer);
+    room.flagTimer = null;
+  }
+  if (room.turnStartedAt !== null) {
+    room.clock = roomClocks(room);
+    room.turnStartedAt = null;
+  }
+}
+
+// End the game on time if the side to move has run out; returns true when its flag fell
+function flagFall(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || room.over || room.turnStartedAt === null) return false;
+  room.flagTimer = null;
+  const turn = room.state.turn;
+  if (roomClocks(room)[turn] > 0) {
+    scheduleFlagFall(roomId);
+    return false;
+  }
+  // current player timed out -> other player wins
+  room.over = true;
+  stopRoomClock(roomId);
+  emitRoomClock(roomId);
+  const winner = turn === 'w' ? 'black' : 'white';
+  io.to(roomId).emit('gameEnd', { result: 'timeout', winner });
+  return true;
+}
+
 io.on('connection', (socket) => {
   console.log('socket connected', socket.id);
 
   socket.on('createRoom', (payload, cb) => {
-    // Support optional payload: createRoom({ timeMinutes: 5 }, cb)
-    let timeMinutes = 10; // default
+    // Support optional payload: createRoom({ timeMinutes: 5, layout }, cb)
+    // `layout` is an optional portal layout ({ white: [], black: [], neutralPairs: [[a, b]] })
+    // `variant` is an optional rule variant name (see VARIANTS in engine.js) or flags object
+    // `start` is an optional start position: 'standard', 'chess960' (shuffled) or a Chess960 number
+    // `handicap` is an optional odds spec (see resolveHandicap in engine.js)
+    // `timeMinutes` may also be { w, b } for asymmetric starting clocks
+    // `timeControl` is an optional { minutes, increment, delay, moves } spec and overrides `timeMinutes`
+    let timeMinutes = { w: 10, b: 10 }; // default
+    let layout;
+    let variant;
+    let start;
+    let handicap;
+    let timeControl;
     let callback = cb;
     // If payload is actually the callback (legacy signature createRoom(cb))
     if (typeof payload === 'function') {
       callback = payload;
     } else if (payload && payload.timeMinutes) {
-      const pm = parseInt(payload.timeMinutes, 10);
-      if (Number.isFinite(pm) && pm > 0) timeMinutes = pm;
+      const tm = payload.timeMinutes;
+      for (const color of ['w', 'b']) {
+        const pm = parseInt(typeof tm === 'object' ? tm[color] : tm, 10);
+        if (Number.isFinite(pm) && pm > 0) timeMinutes[color] = pm;
+      }
+    }
+    if (payload && typeof payload === 'object' && payload.layout) layout = payload.layout;
+    if (payload && typeof payload === 'object' && payload.variant) variant = payload.variant;
+    if (payload && typeof payload === 'object' && payload.start !== undefined) start = payload.start;
+    if (payload && typeof payload === 'object' && payload.handicap) handicap = payload.handicap;
+
+    const reject = (error, e) => {
+      console.warn(`createRoom rejected: ${error}`, e && e.message);
+      if (typeof callback === 'function') callback({ error, detail: e && e.message });
+    };
+    // Check each option on its own, so the error code names the option at fault
+    const checks = [
+      ['bad-layout', () => { if (layout) buildPortals(layout); }],
+      ['bad-variant', () => { if (variant) resolveVariant(variant); }],
+      ['bad-start', () => { if (start !== undefined && start !== 'standard' && start !== 'chess960') chess960BackRank(start); }],
+      ['bad-handicap', () => resolveHandicap(handicap)],
+      ['bad-time-control', () => { timeControl = resolveTimeControl((payload && typeof payload === 'object' && payload.timeControl) || { minutes: timeMinutes }); }],
+    ];
+    for (const [error, check] of checks) {
+      try {
+        check();
+      } catch (e) {
+        reject(error, e);
+        return;
+      }
+    }
+
+    let state;
+    try {
+      state = initialState({ layout, variant, start, handicap });
+    } catch (e) {
+      // every option passed its own check: what is left is a handicap that does not fit the
+      // start position (removing a piece from an empty square, or a piece that is not unique)
+      reject('bad-handicap', e);
+      return;
     }
 
     const roomId = makeRoomId(5);
     // room.over indicates the game has finished (checkmate/stalemate/timeout) and prevents further moves
-    const timeMs = Math.max(1, timeMinutes) * 60 * 1000;
-    const room = { sockets: new Set([socket.id]), state: initialState(), locked: false, host: socket.id, over: false, clock: { w: timeMs, b: timeMs }, lastTick: Date.now(), clockInterval: null };
+    // the host plays White
+    const seats = { w: { token: makeSeatToken(), socketId: socket.id }, b: null };
+    const room = { sockets: new Set([socket.id]), state, locked: false, seats, over: false, timeControl, clock: startingClocks(timeControl), movesMade: { w: 0, b: 0 }, turnStartedAt: null, flagTimer: null };
     rooms.set(roomId, room);
     socket.join(roomId);
     console.log(`Room ${roomId} created by ${socket.id}`);
-    if (typeof callback === 'function') callback({ roomId });
+    if (typeof callback === 'function') callback({ roomId, color: 'w', seatToken: seats.w.token });
   });
 
   socket.on('joinRoom', (data, cb) => {
     const roomId = (data && data.roomId) || data;
+    const seatToken = data && typeof data === 'object' ? data.seatToken : undefined;
     if (!roomId) return cb && cb({ error: 'missing-room-id' });
     const room = rooms.get(roomId);
     if (!room) return cb && cb({ error: 'not-found' });
-    if (room.locked) return cb && cb({ error: 'room-locked' });
+
+    // A seat token takes back the seat it was issued for (after a disconnect, or from a reloaded
+    // page). Without one, a newcomer gets the seat nobody has claimed yet. Once both seats are
+    // claimed the room is closed to everyone else, also while a player is away.
+    let color = seatOf(room, socket.id)
+      || ['w', 'b'].find(c => room.seats[c] && seatToken && room.seats[c].token === seatToken);
+    if (color) {
+      const previous = room.seats[color].socketId;
+      if (previous && previous !== socket.id) {
+        // the player's old connection no longer speaks for the seat
+        room.sockets.delete(previous);
+        io.sockets.sockets.get(previous)?.leave(roomId);
+      }
+      room.seats[color].socketId = socket.id;
+    } else {
+      color = ['w', 'b'].find(c => !room.seats[c]);
+      if (!color) return cb && cb({ error: 'room-locked' });
+      room.seats[color] = { token: makeSeatToken(), socketId: socket.id };
+    }
     room.sockets.add(socket.id);
     socket.join(roomId);
-    console.log(`${socket.id} joined room ${roomId}`);
-    // If two players present, lock and start
-    if (room.sockets.size >= 2) {
-      room.locked = true;
-      const ids = Array.from(room.sockets);
-      const whiteId = room.host || ids[0];
-      const blackId = ids.find(id => id !== whiteId) || ids[1];
-      // send gameStart to both players with assigned color and initial state
-      io.to(whiteId).emit('gameStart', { roomId, color: 'w', state: room.state, clocks: room.clock });
-      io.to(blackId).emit('gameStart', { roomId, color: 'b', state: room.state, clocks: room.clock });
-      // Start the server-side ticking loop for the room clock
-      startRoomClock(roomId);
-      console.log(`Room ${roomId} locked: ${whiteId}=w, ${blackId}=b`);
+    console.log(`${socket.id} joined room ${roomId} as ${color}`);
+
+    const whiteId = room.seats.w && room.seats.w.socketId;
+    const blackId = room.seats.b && room.seats.b.socketId;
+    if (whiteId && blackId) {
+      // send gameStart with the assigned color and the current state
+      // states travel in the versioned schema (see serializeState in engine.js)
+      const wire = serializeState(room.state);
+      const clocks = roomClocks(room);
+      const start = (c) => ({ roomId, color: c, state: wire, clocks, timeControl: room.timeControl });
+      if (!room.locked) {
+        room.locked = true;
+        io.to(whiteId).emit('gameStart', start('w'));
+        io.to(blackId).emit('gameStart', start('b'));
+        // Start (or, after a player rejoined, resume) the room clock
+        startRoomClock(roomId);
+        console.log(`Room ${roomId} locked: ${whiteId}=w, ${blackId}=b`);
+      } else {
+        // a player took their seat over from another connection while the game runs
+        socket.emit('gameStart', start(color));
+      }
     } else {
-      // notify joined but waiting
-      io.to(room.host).emit('playerJoined', { socketId: socket.id });
+      // notify the other player, if connected, that someone joined
+      const other = room.seats[color === 'w' ? 'b' : 'w'];
+      if (other && other.socketId) io.to(other.socketId).emit('playerJoined', { socketId: socket.id });
     }
-    if (typeof cb === 'function') cb({ ok: true });
+    if (typeof cb === 'function') cb({ ok: true, color, seatToken: room.seats[color].token });
   });
 
-  function startRoomClock(roomId) {
-    const room = rooms.get(roomId);
-    if (!room) return;
-    if (room.clockInterval) return; // already running
-    room.lastTick = Date.now();
-    room.clockInterval = setInterval(() => {
-      try {
-        tickRoomClock(roomId);
-      } catch (e) { console.error('room clock tick error', e && e.message); }
-    }, 250);
-  }
-
-  function stopRoomClock(roomId) {
-    const room = rooms.get(roomId);
-    if (!room) return;
-    if (room.clockInterval) {
-      clearInterval(room.clockInterval);
-      room.clockInterval = null;
-    }
-  }
-
-  function tickRoomClock(roomId) {
-    const room = rooms.get(roomId);
-    if (!room || room.over || !room.locked) return;
-    const now = Date.now();
-    const delta = now - (room.lastTick || now);
-    room.lastTick = now;
-    const turn = room.state && room.state.turn ? room.state.turn : 'w';
-    if (!room.clock || typeof room.clock[turn] !== 'number') return;
-    room.clock[turn] = Math.max(0, room.clock[turn] - delta);
-    // Broadcast clock snapshot to clients for sync
-    io.to(roomId).emit('clock', { clocks: { w: room.clock.w, b: room.clock.b }, turn, ts: now });
-    // Timeout detection
-    if (room.clock[turn] <= 0) {
-      // current player timed out -> other player wins
-      room.over = true;
-      stopRoomClock(roomId);
-      const winner = turn === 'w' ? 'black' : 'white';
-      io.to(roomId).emit('gameEnd', { result: 'timeout', winner });
-    }
-  }
 
   socket.on('makeMove', async (data, cb) => {
     try {
-      const { roomId, resolved } = data || {};
-      if (!roomId || !resolved) return cb && cb({ error: 'invalid-payload' });
+      // Clients send the move ID (see moveId in engine.js); older clients send the resolved move object
+      const { roomId, id, resolved } = data || {};
+      if (!roomId || (!id && !resolved)) return cb && cb({ error: 'invalid-payload' });
       const room = rooms.get(roomId);
       if (!room) return cb && cb({ error: 'not-found' });
   if (!room.locked) return cb && cb({ error: 'not-ready' });
   if (room.over) return cb && cb({ error: 'game-over' });
 
-      // Validate that it's this player's turn. We don't track which socket is which color
-      // beyond the initial assignment, so for simplicity accept moves and validate via state.turn.
-
-      // Generate all legal resolved outcomes for the moving piece from the server state
-      const from = (resolved.from || '').toUpperCase();
-      const baseMoves = generatePseudoLegalMoves(room.state, from);
-      let outcomes = [];
-      for (const bm of baseMoves) outcomes.push(...expandWithPortalOutcomes(room.state, bm));
-      outcomes = filterLegalByCheck(room.state, outcomes);
-
-      // Find matching outcome by comparing key properties (toFinal/to, kind, viaPortal.choice/meta.promo)
-      const matches = outcomes.filter(o => {
-        const aTo = (o.toFinal || o.to || '').toUpperCase();
-        const bTo = (resolved.toFinal || resolved.to || '').toUpperCase();
-        if (aTo !== bTo) return false;
-        if ((o.kind || '') !== (resolved.kind || '')) return false;
-        // compare promo if present
-        if ((o.promo || o.meta?.promo || '') !== (resolved.promo || resolved.meta?.promo || '')) return false;
-        // compare portal choice if present
-        const aChoice = o.viaPortal && o.viaPortal.choice ? o.viaPortal.choice.toUpperCase() : '';
-        const bChoice = resolved.viaPortal && resolved.viaPortal.choice ? resolved.viaPortal.choice.toUpperCase() : '';
-        if (aChoice !== bChoice) return false;
-        return true;
-      });
-
-      if (matches.length === 0) {
-        console.warn('Rejected move: no matching legal outcome');
-        return cb && cb({ error: 'illegal-move' });
+      // Only the player seated on the side to move may move (seats are recorded in joinRoom)
+      const seat = seatOf(room, socket.id);
+      if (!seat) {
+        console.warn(`Rejected move in room ${roomId}: ${socket.id} is not a player`);
+        return cb && cb({ error: 'not-a-player', message: 'You are not playing in this room' });
+      }
+      if (seat !== room.state.turn) {
+        console.warn(`Rejected move in room ${roomId}: ${socket.id} plays ${seat}, not the side to move`);
+        return cb && cb({ error: 'not-your-turn', message: `It is ${room.state.turn === 'w' ? 'White' : 'Black'}'s turn; you play ${seat === 'w' ? 'White' : 'Black'}` });
+      }
+
+      // Check the move against the server state; a rejection carries the engine's reason code
+      let verdict;
+      try {
+        verdict = validateMove(room.state, id || resolved);
+      } catch (e) {
+        verdict = { ok: false, reason: 'bad-move', message: MOVE_REJECTIONS['bad-move'] };
       }
+      if (!verdict.ok) {
+        console.warn(`Rejected move in room ${roomId}: ${verdict.reason}`);
+        return cb && cb({ error: 'illegal-move', reason: verdict.reason, message: verdict.message });
+      }
+      const chosen = verdict.move;
 
-  // Before applying the move, advance the room clock to account for elapsed
-  try { tickRoomClock(roomId); } catch (e) { /* ignore tick errors */ }
+  // The mover's flag may have fallen before its timer got to run
+  const now = Date.now();
+  const mover = room.state.turn;
+  const left = roomClocks(room, now)[mover];
+  if (left <= 0) {
+    flagFall(roomId);
+    return cb && cb({ error: 'game-over' });
+  }
 
-  // Accept the first matching outcome and apply
-  const chosen = matches[0];
+  // Apply the server's own copy of the move
+  const spent = room.turnStartedAt === null ? 0 : now - room.turnStartedAt;
   const nextState = applyResolvedMove(room.state, chosen);
   room.state = nextState;
-  // reset lastTick so server starts timing the next player from now
-  room.lastTick = Date.now();
+  // settle the mover's clock (increment, delay, move periods) and start timing the next move from now
+  room.movesMade[mover] += 1;
+  room.clock[mover] = clockAfterMove(room.timeControl, mover, left, spent, room.movesMade[mover]);
+  room.turnStartedAt = now;
 
   // Broadcast to room (include latest clocks so clients can re-sync immediately)
-  io.to(roomId).emit('moveMade', { resolved: chosen, state: nextState, clocks: room.clock });
+  io.to(roomId).emit('moveMade', { resolved: chosen, state: serializeState(nextState), clocks: roomClocks(room, now) });
   // Also emit an immediate clock snapshot
-  io.to(roomId).emit('clock', { clocks: { w: room.clock.w, b: room.clock.b }, turn: room.state.turn, ts: room.lastTick });
+  emitRoomClock(roomId, now);
 
-      // Server-side game end detection (checkmate / stalemate)
+      // Server-side game end detection (checkmate / stalemate / insufficient material / repetition / fifty-move)
       try {
         const res = gameResult(nextState);
         // Log the computed result so rendered deployments show the decision
         console.log(`gameResult for room ${roomId}:`, res);
         if (res && res.result && res.result !== 'ongoing') {
           room.over = true;
-          // stop clock ticking for this room
+          // stop the clock for this room
           stopRoomClock(roomId);
+          emitRoomClock(roomId);
           if (res.result === 'checkmate') {
             const winner = res.winner === 'w' ? 'white' : (res.winner === 'b' ? 'black' : null);
             io.to(roomId).emit('gameEnd', { result: 'checkmate', winner });
           } else if (res.result === 'stalemate') {
             io.to(roomId).emit('gameEnd', { result: 'stalemate' });
+          } else if (res.result === 'insufficient-material') {
+            io.to(roomId).emit('gameEnd', { result: 'insufficient-material' });
+          } else if (res.result === 'repetition') {
+            io.to(roomId).emit('gameEnd', { result: 'repetition' });
+          } else if (res.result === 'fifty-move') {
+            io.to(roomId).emit('gameEnd', { result: 'fifty-move' });
           }
         }
       } catch (e) {
         console.warn('game end detection failed', e && e.message);
       }
+      // time the next move: the flag-fall timer now watches the side to move
+      if (!room.over) scheduleFlagFall(roomId);
       return cb && cb({ ok: true });
     } catch (err) {
       console.error('makeMove error', err);
@@ -234,15 +378,22 @@ io.on('connection', (socket) => {
     for (const [roomId, room] of rooms.entries()) {
       if (room.sockets.has(socket.id)) {
         room.sockets.delete(socket.id);
+        // the seat stays reserved: only its token can claim it again
+        const seat = seatOf(room, socket.id);
+        if (seat) room.seats[seat].socketId = null;
         io.to(roomId).emit('playerLeft', { socketId: socket.id });
         // If room is empty, delete it
         if (room.sockets.size === 0) {
-            // clear any running clock interval
-            if (room.clockInterval) clearInterval(room.clockInterval);
+            // clear any pending flag-fall timer
+            stopRoomClock(roomId);
             rooms.delete(roomId);
             console.log(`Room ${roomId} removed (empty)`);
         } else {
-          // unlock room if someone leaves so a new player can join
+          // unlock the room until the player comes back with their seat token; the clock waits for them
+          if (room.locked && !room.over) {
+            stopRoomClock(roomId);
+            emitRoomClock(roomId);
+          }
           room.locked = false;
         }
       }
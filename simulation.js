@@ -14,7 +14,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 
-import { initialState, applyResolvedMove, gameResult, generatePseudoLegalMoves, expandWithPortalOutcomes, filterLegalByCheck } from './engine.js';
+import { initialState, applyResolvedMove, gameResult, generateLegalMoves, hashKey, toPFEN, moveToSAN, gameToPGN, pieceAt } from './engine.js';
 import { getBestMove as calculateBestMove, clearTranspositionTable } from './ai.js';
 
 const GAMES_TO_RUN = Number(process.argv[2] || process.env.GAMES_TO_RUN || 1000);
@@ -33,13 +33,6 @@ async function appendLine(filePath, line) {
   await fs.appendFile(filePath, line + '\n', 'utf8');
 }
 
-function moveToString(mv) {
-  if (!mv) return '';
-  const from = (mv.from || '').toUpperCase();
-  const to = ((mv.toFinal || mv.to) || '').toUpperCase();
-  return `${from}->${to}`;
-}
-
 async function runSimulation() {
   // Truncate/open the openings log
   await fs.writeFile(OPENINGS_LOG, `Simulation openings log\nGenerated: ${new Date().toISOString()}\n\n`, 'utf8');
@@ -54,16 +47,6 @@ async function runSimulation() {
   const DEBUG_LOG = path.join(process.cwd(), 'debug_games.log');
   await fs.writeFile(DEBUG_LOG, `Debug games log\nGenerated: ${new Date().toISOString()}\n\n`, 'utf8');
 
-  function sqToIndex(sqRaw) {
-    if (!sqRaw) return -1;
-    const sq = sqRaw.toUpperCase();
-    const FILES = 'ABCDEFGH';
-    const RANKS = '12345678';
-    const f = FILES.indexOf(sq[0]);
-    const r = RANKS.indexOf(sq[1]);
-    if (f < 0 || r < 0) return -1;
-    return r * 8 + f;
-  }
 
   async function appendDebug(gi, header, lines) {
     const pre = `--- Game ${gi} DEBUG: ${header} (${new Date().toISOString()})\n`;
@@ -78,8 +61,9 @@ async function runSimulation() {
     try { clearTranspositionTable(); } catch (e) {}
     let state = initialState();
     const openingPly = []; // record moves as ply (each move by either side)
+    let openingKey = hashKey(state);
     let turns = 0;
-    let lastMv = null;
+    let lastSan = null;
     let lastCapturedDesc = null;
 
     // Play until gameResult says it's finished
@@ -98,21 +82,11 @@ async function runSimulation() {
 
       if (useTopK) {
         // build legal resolved outcomes for all pieces of the current side
-        const candidates = [];
+        let candidates = [];
         try {
-          for (let i = 0; i < 64; i++) {
-            const p = state.board[i];
-            if (!p || p.color !== color) continue;
-            const fromSq = `${'ABCDEFGH'[i%8]}${'12345678'[Math.floor(i/8)]}`;
-            const base = generatePseudoLegalMoves(state, fromSq);
-            for (const bm of base) {
-              const outcomes = expandWithPortalOutcomes(state, bm);
-              const legalOutcomes = filterLegalByCheck(state, outcomes);
-              for (const o of legalOutcomes) candidates.push(o);
-            }
-          }
+          candidates = generateLegalMoves(state);
         } catch (e) {
-          candidates.length = 0;
+          candidates = [];
         }
 
         if (candidates.length === 0) {
@@ -121,23 +95,12 @@ async function runSimulation() {
           // Score candidates using a lightweight heuristic
           const PIECE_VALUE = { P: 1, N: 3, B: 3, R: 5, Q: 9, K: 0 };
           const CENTER_SQS = new Set(['D4','D5','E4','E5']);
-          function sqToIndexLocal(sqRaw) {
-            if (!sqRaw) return -1;
-            const sq = sqRaw.toUpperCase();
-            const FILES = 'ABCDEFGH';
-            const RANKS = '12345678';
-            const f = FILES.indexOf(sq[0]);
-            const r = RANKS.indexOf(sq[1]);
-            if (f < 0 || r < 0) return -1;
-            return r * 8 + f;
-          }
 
           function scoreCandidate(st, cand) {
             let score = 0;
             // capture value
             const dest = (cand.toFinal || cand.to || '').toUpperCase();
-            const destIdx = sqToIndexLocal(dest);
-            const captured = (destIdx >= 0 && st.board[destIdx]) ? st.board[destIdx] : null;
+            const captured = dest ? pieceAt(st, dest) : null;
             if (captured) score += (PIECE_VALUE[captured.type] || 0) * 10; // scale captures
             // portal swap bonus
             if (cand.viaPortal && cand.viaPortal.swapped) score += 8;
@@ -172,20 +135,10 @@ async function runSimulation() {
         }
       } else if (RANDOM_MOVE_PROB > 0 && Math.random() < RANDOM_MOVE_PROB) {
         // uniform random candidate (legacy behavior)
-        const candidates = [];
+        let candidates = [];
         try {
-          for (let i = 0; i < 64; i++) {
-            const p = state.board[i];
-            if (!p || p.color !== color) continue;
-            const fromSq = `${'ABCDEFGH'[i%8]}${'12345678'[Math.floor(i/8)]}`;
-            const base = generatePseudoLegalMoves(state, fromSq);
-            for (const bm of base) {
-              const outcomes = expandWithPortalOutcomes(state, bm);
-              const legalOutcomes = filterLegalByCheck(state, outcomes);
-              for (const o of legalOutcomes) candidates.push(o);
-            }
-          }
-        } catch (e) { candidates.length = 0; }
+          candidates = generateLegalMoves(state);
+        } catch (e) { candidates = []; }
 
         if (candidates.length > 0) mv = candidates[Math.floor(Math.random() * candidates.length)];
         else {
@@ -207,11 +160,12 @@ async function runSimulation() {
 
   // Inspect target square to see what (if anything) is being captured
       const destSq = (mv.toFinal || mv.to || '').toUpperCase();
-      const destIdx = sqToIndex(destSq);
-      const capturedPiece = (destIdx >= 0 && state.board[destIdx]) ? state.board[destIdx] : null;
+      const capturedPiece = destSq ? pieceAt(state, destSq) : null;
       let capturedDesc = capturedPiece ? `${capturedPiece.color}${capturedPiece.type}` : null;
-  // stash last move info for post-game debugging
-  lastMv = mv;
+  // stash last move info for post-game debugging; notation needs the pre-move position
+  let san;
+  try { san = moveToSAN(state, mv); } catch (e) { san = `${mv.from}->${mv.toFinal || mv.to}`; }
+  lastSan = san;
   lastCapturedDesc = capturedDesc;
       try {
         state = applyResolvedMove(state, mv);
@@ -222,7 +176,9 @@ async function runSimulation() {
 
       // Record opening ply up to first 10 ply (5 full moves)
       if (openingPly.length < 10) {
-        openingPly.push(moveToString(mv));
+        openingPly.push(san);
+        // Zobrist key of the position the opening reached, so transpositions group together
+        openingKey = hashKey(state);
       }
 
       turns += 1;
@@ -243,13 +199,14 @@ async function runSimulation() {
       lineResult = 'Draw';
       draws++;
     } else {
-      lineResult = 'Draw';
+      // repetition / fifty-move draws, or a game stopped at the ply cap
+      lineResult = final.result === 'ongoing' ? 'Draw' : `Draw (${final.result})`;
       draws++;
     }
 
     // Write openings line: include first up to 10 ply (comma separated)
     const openingStr = openingPly.length > 0 ? openingPly.join(', ') : '(no moves)';
-    const logLine = `Game ${gi} (${lineResult}): ${openingStr}`;
+    const logLine = `Game ${gi} (${lineResult}) [${openingKey}]: ${openingStr}`;
     await appendLine(OPENINGS_LOG, logLine);
 
     // If the game ended as checkmate but the last captured piece was not a king,
@@ -260,8 +217,7 @@ async function runSimulation() {
       for (let r = 7; r >= 0; r--) {
         let row = '';
         for (let f = 0; f < 8; f++) {
-          const idx = r * 8 + f;
-          const p = state.board[idx];
+          const p = pieceAt(state, `${'ABCDEFGH'[f]}${r + 1}`);
           row += p ? `${p.color}${p.type}`.padEnd(3) : ' . '.padEnd(3);
         }
         boardLines.push(row.trim());
@@ -270,26 +226,22 @@ async function runSimulation() {
       // Generate legal moves for the side to move (pseudo-legal expanded & filtered)
       const legalMoves = [];
       try {
-        for (let i = 0; i < 64; i++) {
-          const p = state.board[i];
-          if (!p) continue;
-          const fromSq = `${'ABCDEFGH'[i%8]}${'12345678'[Math.floor(i/8)]}`;
-          const base = generatePseudoLegalMoves(state, fromSq);
-          for (const bm of base) {
-            const outcomes = expandWithPortalOutcomes(state, bm);
-            const legalOutcomes = filterLegalByCheck(state, outcomes);
-            for (const o of legalOutcomes) legalMoves.push(`${fromSq}->${(o.toFinal||o.to)}`);
-          }
-        }
+        for (const o of generateLegalMoves(state)) legalMoves.push(moveToSAN(state, o));
       } catch (e) { legalMoves.push('legal-move-generation-failed'); }
 
       const debugLines = [];
       debugLines.push(`Final result: ${JSON.stringify(final)}`);
-      debugLines.push(`Last move: ${moveToString(lastMv)} (captured=${lastCapturedDesc})`);
+      debugLines.push(`Last move: ${lastSan} (captured=${lastCapturedDesc})`);
+      debugLines.push(`PFEN: ${toPFEN(state)}`);
       debugLines.push('Board (top->bottom):');
       debugLines.push(...boardLines);
       debugLines.push('Legal moves for side to move:');
       debugLines.push(legalMoves.slice(0,200).join(', ') || '(none)');
+      // full game record so the game can be loaded back into the board
+      try {
+        debugLines.push('Game record:');
+        debugLines.push(gameToPGN(state, { Event: 'AI simulation', Round: String(gi), White: `AI d${AI_DEPTH}`, Black: `AI d${AI_DEPTH}` }).trimEnd());
+      } catch (e) { debugLines.push(`Game record unavailable: ${e && e.message}`); }
 
       await appendDebug(gi, 'suspicious-checkmate', debugLines);
       console.warn('Suspicious checkmate logged for game', gi);
@@ -1,12 +1,31 @@
 import {
   initialState,
   pieceToGlyph,
+  pieceAt,
   generatePseudoLegalMoves,
-  expandWithPortalOutcomes,
   applyResolvedMove,
   isSquareAttacked,
-  filterLegalByCheck,
+  explainCheck,
+  generateLegalMoves,
+  validateMove,
+  moveId,
   gameResult,
+  toPFEN,
+  fromPFEN,
+  setupPosition,
+  positionProblems,
+  moveToSAN,
+  gameToPGN,
+  gameFromPGN,
+  serializeState,
+  deserializeState,
+  parsePortalLayoutTag,
+  parseHandicapTag,
+  resolveTimeControl,
+  startingClocks,
+  clockAfterMove,
+  timeControlTag,
+  VARIANTS,
   SOUND_FILES,
 } from "./engine.js";
 
@@ -22,9 +41,18 @@ const suggestBtn = document.getElementById("suggestBtn");
 const applySuggestionBtn = document.getElementById("applySuggestionBtn");
 const resetBtn = document.getElementById("resetBtn");
 const flipBtn = document.getElementById("flipBtn");
+const exportPgnBtn = document.getElementById("exportPgnBtn");
+const importPgnBtn = document.getElementById("importPgnBtn");
+const importPgnInput = document.getElementById("importPgnInput");
+const saveGameBtn = document.getElementById("saveGameBtn");
 const aiColorLabel = document.getElementById("aiColorLabel");
 const aiDepthLabel = document.getElementById("aiDepthLabel");
 const timeControlSelect = document.getElementById('timeControlSelect');
+const blackTimeSelect = document.getElementById('blackTimeSelect');
+const timeBonusSelect = document.getElementById('timeBonusSelect');
+const clocksEl = document.getElementById('clocks');
+const variantSelect = document.getElementById('variantSelect');
+const startSelect = document.getElementById('startSelect');
 const whiteClockTimeEl = document.getElementById('whiteClockTime');
 const blackClockTimeEl = document.getElementById('blackClockTime');
 
@@ -103,7 +131,7 @@ function playSoundForResolved(resolved, afterState) {
 
     // Prefer sample playback if available (loaded by loadAudioAssets)
     const sampleKey = (kind === 'promotion') ? 'promotion'
-      : (kind === 'capture' || (via && via.swapped)) ? 'capture'
+      : (kind === 'capture' || kind === 'enpassant' || (via && via.swapped)) ? 'capture'
       : (via) ? 'portal'
       : (kind === 'castle') ? 'castle'
       : 'move';
@@ -115,7 +143,7 @@ function playSoundForResolved(resolved, afterState) {
       if (kind === 'promotion') {
         playTone(1100, 'sine', 0.12, 0.09);
         playTone(1500, 'sine', 0.12, 0.07, 0.06);
-      } else if (kind === 'capture' || (via && via.swapped)) {
+      } else if (kind === 'capture' || kind === 'enpassant' || (via && via.swapped)) {
         playTone(700, 'sawtooth', 0.16, 0.12);
         playTone(420, 'sine', 0.18, 0.08, 0.02);
       } else if (via) {
@@ -182,6 +210,8 @@ async function loadAudioAssets() {
 let portalSelection = null;
 // Track the most recent move applied in the UI. Shape: { from: 'E2', to: 'E4' } (upper-case)
 let lastMove = null;
+// Why the last attempted move was refused (see validateMove in engine.js); shown in the status bar
+let moveNotice = '';
 
 function enablePortalSelection(outcomes, baseMoves) {
   // Only enable when outcomes are portal outcomes and the originating base move
@@ -221,7 +251,70 @@ function disablePortalSelection() {
   sqEls.forEach(el => el.classList.remove('portal-selectable'));
 }
 
-let state = initialState();
+// A portal layout can be chosen by URL: /?layout=<portal layout tag, see portalLayoutTag>.
+// It applies to local games and to rooms created from this page.
+function layoutFromUrl() {
+  try {
+    const tag = new URLSearchParams(window.location.search).get('layout');
+    if (tag) return parsePortalLayoutTag(tag);
+  } catch (e) {
+    console.warn('Ignoring invalid layout URL parameter:', e && e.message);
+  }
+  return undefined;
+}
+const urlLayout = layoutFromUrl();
+
+// Odds games: /?handicap=<handicap tag, see handicapTag>, e.g. ?handicap=remove:Q;extra:b1.
+// Like the layout it applies to local games and to rooms created from this page.
+function handicapFromUrl() {
+  try {
+    const tag = new URLSearchParams(window.location.search).get('handicap');
+    if (tag) return parseHandicapTag(tag);
+  } catch (e) {
+    console.warn('Ignoring invalid handicap URL parameter:', e && e.message);
+  }
+  return undefined;
+}
+const urlHandicap = handicapFromUrl();
+
+// Rule variant selector, filled from the engine registry. /?rules=<variant name> preselects one.
+if (variantSelect) {
+  for (const v of Object.values(VARIANTS)) {
+    const opt = document.createElement('option');
+    opt.value = v.name;
+    opt.textContent = v.label;
+    variantSelect.appendChild(opt);
+  }
+  const fromUrl = new URLSearchParams(window.location.search).get('rules');
+  variantSelect.value = (fromUrl && VARIANTS[fromUrl]) ? fromUrl : 'standard';
+}
+function selectedVariant() {
+  return (variantSelect && VARIANTS[variantSelect.value]) ? variantSelect.value : 'standard';
+}
+
+// Start position selector: standard or a shuffled Chess960 back rank. /?start=chess960 preselects it.
+if (startSelect && new URLSearchParams(window.location.search).get('start') === 'chess960') startSelect.value = 'chess960';
+function selectedStart() {
+  return (startSelect && startSelect.value === 'chess960') ? 'chess960' : 'standard';
+}
+
+// A position can be shared by URL: /?pfen=<url-encoded PFEN> starts the board from it
+function stateFromUrl() {
+  try {
+    const pfen = new URLSearchParams(window.location.search).get('pfen');
+    if (pfen) {
+      const s = fromPFEN(pfen, { layout: urlLayout, variant: selectedVariant(), handicap: urlHandicap });
+      const problems = positionProblems(s);
+      if (!problems.length) return s;
+      console.warn('Ignoring illegal pfen URL parameter:', problems.join('; '));
+    }
+  } catch (e) {
+    console.warn('Ignoring invalid pfen URL parameter:', e && e.message);
+  }
+  return initialState({ layout: urlLayout, variant: selectedVariant(), start: selectedStart(), handicap: urlHandicap });
+}
+
+let state = stateFromUrl();
 let selectedSq = null;
 let legalTargets = new Set();
 let suggestion = null; // suggested resolved move (not applied)
@@ -246,30 +339,84 @@ let onlineColor = null; // 'w' or 'b'
 let isHost = false;
 let onlinePanel = null;
 
-// Server-synced clocks state (ms)
+// Server-synced clocks state (ms). The server only sends snapshots when something changes
+// (moves, pauses, game end); between them the side to move's clock is counted down here.
 let serverClocks = null; // { w: ms, b: ms }
+let serverClockRunning = true; // false while the server has the room clock stopped
+let onlineTimeControl = null; // the room's resolved time control, from gameStart / clock events
 let lastClockSyncAt = 0; // Date.now() when we synced
 let lastServerTs = 0; // server timestamp attached to last update
 let clockRaf = null;
 
 // Local (client-side) clocks for non-online modes
 let localClocks = null; // { w: ms, b: ms }
+let localTimeControl = null; // resolved time control the local clocks follow
+let localMovesMade = { w: 0, b: 0 };
+let localTurnStartedAt = 0;
 let lastLocalTick = 0;
 let localClockInterval = null;
 
+// Starting minutes per side: the time selector sets White's clock, and Black's too unless
+// the black time selector names a different amount (time odds)
+function clockMinutes() {
+  const w = parseInt((timeControlSelect && timeControlSelect.value) || '10', 10) || 10;
+  const b = parseInt((blackTimeSelect && blackTimeSelect.value) || '', 10) || w;
+  return { w, b };
+}
+
+// The selected time control (see resolveTimeControl in engine.js): the minutes above plus the
+// bonus selector's increment, delay or move period (option values like "increment:2")
+function selectedTimeControl() {
+  const spec = { minutes: clockMinutes() };
+  const [kind, n] = String((timeBonusSelect && timeBonusSelect.value) || '').split(':');
+  if (['increment', 'delay', 'moves'].includes(kind) && Number(n) > 0) spec[kind] = Number(n);
+  return resolveTimeControl(spec);
+}
+
+// Readable summary of a resolved time control, e.g. "10 min + 2 s" or "40 moves in 90 min"
+function describeTimeControl(tc) {
+  const mins = (c) => `${tc.minutes[c]} min`;
+  let text = tc.minutes.w === tc.minutes.b ? mins('w') : `White ${mins('w')} / Black ${mins('b')}`;
+  if (tc.moves) text = `${tc.moves} moves in ${text}`;
+  if (tc.increment) text += ` + ${tc.increment} s`;
+  if (tc.delay) text += `, ${tc.delay} s delay`;
+  return text;
+}
+
+function showTimeControl(tc) {
+  if (clocksEl && tc) clocksEl.title = `Time control: ${describeTimeControl(tc)}`;
+}
+
 function initLocalClocksFromSelector() {
-  const minutes = parseInt((timeControlSelect && timeControlSelect.value) || '10', 10) || 10;
-  const ms = Math.max(1, minutes) * 60 * 1000;
-  localClocks = { w: ms, b: ms };
+  localTimeControl = selectedTimeControl();
+  localClocks = startingClocks(localTimeControl);
+  localMovesMade = { w: 0, b: 0 };
+  localTurnStartedAt = Date.now();
+  showTimeControl(localTimeControl);
   // Immediately reflect to UI
   serverClocks = localClocks;
   lastClockSyncAt = Date.now();
 }
 
+// A local move by `color` was just applied: charge the time since the last tick, settle the
+// mover's clock per the time control (increment, delay, move periods) and time the next move
+function localMoveMade(color) {
+  if (!localClocks || !localTimeControl || gameOver) return;
+  const now = Date.now();
+  const remaining = Math.max(0, localClocks[color] - (now - (lastLocalTick || now)));
+  localMovesMade[color] += 1;
+  localClocks[color] = clockAfterMove(localTimeControl, color, remaining, now - (localTurnStartedAt || now), localMovesMade[color]);
+  lastLocalTick = now;
+  localTurnStartedAt = now;
+  serverClocks = localClocks;
+  lastClockSyncAt = now;
+}
+
 function startLocalClockTick() {
   if (!localClocks) initLocalClocksFromSelector();
   if (localClockInterval) return;
   lastLocalTick = Date.now();
+  localTurnStartedAt = lastLocalTick;
   // tick every 250ms similar to server
   localClockInterval = setInterval(() => {
     try { tickLocalClock(); } catch (e) { console.warn('localClock tick error', e && e.message); }
@@ -320,7 +467,8 @@ function updateClockDisplay() {
   if (!serverClocks) return;
   const now = Date.now();
   const elapsed = Math.max(0, now - lastClockSyncAt);
-  const turn = (state && state.turn) ? state.turn : null;
+  const running = mode !== 'online' || serverClockRunning;
+  const turn = (running && state && state.turn) ? state.turn : null;
   // show interpolated clocks: active player's clock decreases with elapsed
   let wMs = serverClocks.w;
   let bMs = serverClocks.b;
@@ -375,9 +523,9 @@ function scheduleAiTurn(delay = 40) {
           try { playSoundForResolved(aiMove, state); } catch (e) {}
           suggestion = null;
           render();
-          // After AI move in local modes, update local clock baseline and check for game end
+          // After AI move in local modes, settle the AI's clock and check for game end
           if (mode !== 'online') {
-            try { lastLocalTick = Date.now(); } catch (e) {}
+            try { localMoveMade(aiColor); } catch (e) {}
             try { checkLocalGameEnd(); } catch (e) { console.warn('local game end check failed', e && e.message); }
           }
         } else {
@@ -424,38 +572,17 @@ function stopKeepAlive() {
   if (keepAliveTimer) { clearInterval(keepAliveTimer); keepAliveTimer = null; }
 }
 
-// Rehydrate server-sent state to the client's expected shapes (Sets for portals)
-function hydrateState(srvState) {
-  if (!srvState) return srvState;
-  const s = typeof structuredClone === 'function' ? structuredClone(srvState) : JSON.parse(JSON.stringify(srvState));
+// Adopt a state sent by the server (see serializeState/deserializeState in engine.js).
+// Returns false and keeps the current state when the data fails validation.
+function adoptServerState(serverState) {
   try {
-    if (s.portals) {
-      // If portals.white/black arrived as arrays or plain objects, convert to Set
-      if (!s.portals.white || typeof s.portals.white.has !== 'function') {
-        try { s.portals.white = new Set(Array.isArray(s.portals.white) ? s.portals.white.map(x => (x||'').toUpperCase()) : Object.keys(s.portals.white || {})); } catch(e) { s.portals.white = new Set(); }
-      }
-      if (!s.portals.black || typeof s.portals.black.has !== 'function') {
-        try { s.portals.black = new Set(Array.isArray(s.portals.black) ? s.portals.black.map(x => (x||'').toUpperCase()) : Object.keys(s.portals.black || {})); } catch(e) { s.portals.black = new Set(); }
-      }
-      // neutralPairs may be an array of pairs; keep as-is
-      if (!Array.isArray(s.portals.neutralPairs)) s.portals.neutralPairs = s.portals.neutralPairs || [];
-    }
+    state = deserializeState(serverState);
+    return true;
   } catch (e) {
-    // if anything goes wrong, return the server state as-is
-    return srvState;
+    console.error('Rejected game state from server:', e && e.message);
+    alert('Received an invalid game state from the server (see console).');
+    return false;
   }
-  // If hydration produced empty portal sets (because server serialized Sets
-  // into plain objects), fall back to the client's engine default portal map
-  // so UI helpers like .has() behave correctly.
-  try {
-    const defaults = initialState().portals || {};
-    if (s.portals) {
-      if (s.portals.white && s.portals.white.size === 0 && defaults.white) s.portals.white = defaults.white;
-      if (s.portals.black && s.portals.black.size === 0 && defaults.black) s.portals.black = defaults.black;
-      if (!s.portals.neutralPairs || s.portals.neutralPairs.length === 0) s.portals.neutralPairs = defaults.neutralPairs || [];
-    }
-  } catch (e) { /* ignore fallback errors */ }
-  return s;
 }
 
 function isLight(fileIdx, rankIdx) { return (fileIdx + rankIdx) % 2 === 1; }
@@ -469,8 +596,40 @@ function isNeutralPortal(sqStr) {
 
 function clearSuggestion() { suggestion = null; render(); }
 
+const PIECE_NAMES = { P: 'Pawn', N: 'Knight', B: 'Bishop', R: 'Rook', Q: 'Queen', K: 'King' };
+
+// When the side to move is in check, map each involved square to its highlight classes
+// (checked king, checking pieces, their paths and portals, squares that would block)
+// and build a one-line explanation for the status bar.
+function checkHighlights() {
+  const marks = new Map();
+  let info;
+  try { info = explainCheck(state, state.turn); } catch (e) { return { marks, text: '' }; }
+  if (!info.inCheck) return { marks, text: '' };
+  const mark = (sq, cls) => {
+    if (!marks.has(sq)) marks.set(sq, new Set());
+    marks.get(sq).add(cls);
+  };
+  mark(info.king, 'check-king');
+  const parts = [];
+  for (const c of info.checkers) {
+    mark(c.from, 'check-from');
+    for (const sq of c.path.slice(1, -1)) mark(sq, 'check-path');
+    for (const sq of c.blocks) mark(sq, 'check-block');
+    const name = `${PIECE_NAMES[c.piece.type]} ${c.from}`;
+    if (c.route === 'direct') parts.push(name);
+    else {
+      mark(c.portal.entry, 'check-portal');
+      const how = c.route === 'portal-activation' ? 'activating' : 'jumping through';
+      parts.push(`${name} ${how} ${c.portal.network} portal ${c.portal.entry} (swap onto ${c.portal.exit})`);
+    }
+  }
+  return { marks, text: `Check by ${parts.join('; ')}` };
+}
+
 function render() {
   boardEl.innerHTML = "";
+  const check = checkHighlights();
   if (!boardFlipped) {
     // White at bottom (default): render rows top->bottom (r=7..0), files left->right (f=0..7)
     for (let r = 7; r >= 0; r--) {
@@ -482,9 +641,8 @@ function render() {
         div.className = `square ${isLight(fIdx,rIdx) ? "light" : "dark"}`;
         // expose square id for portal-selection wiring
         div.dataset.sq = su;
-        // compute index for board access early
-        const idx = FILES.indexOf(su[0]) + 8 * RANKS.indexOf(su[1]);
-      const piece = state.board[idx];
+        // look up the piece early
+        const piece = pieceAt(state, su);
 
       // Portal coloring and cooldown hint
       if (isWhitePortal(su)) {
@@ -576,6 +734,9 @@ function render() {
         if (dest === su) div.classList.add("suggest");
       }
 
+      // check explanation: checked king, checking pieces, their routes and blocking squares
+      if (check.marks.has(su)) div.classList.add(...check.marks.get(su));
+
   // Draw piece
   if (piece) {
         // If the browser is offline (or dev server unreachable), avoid setting
@@ -669,8 +830,7 @@ function render() {
         div.className = `square ${isLight(fIdx,rIdx) ? "light" : "dark"}`;
         div.dataset.sq = su;
 
-        const idx = FILES.indexOf(su[0]) + 8 * RANKS.indexOf(su[1]);
-        const piece = state.board[idx];
+        const piece = pieceAt(state, su);
 
         // Portal coloring and cooldown hint
         if (isWhitePortal(su)) {
@@ -752,6 +912,8 @@ function render() {
           if (dest === su) div.classList.add("suggest");
         }
 
+        if (check.marks.has(su)) div.classList.add(...check.marks.get(su));
+
         if (piece) {
           if (!navigator.onLine) {
             const span = document.createElement('span');
@@ -805,7 +967,8 @@ function render() {
       }
     }
   }
-  statusEl.textContent = `Mode: ${mode} | Turn: ${state.turn === 'w' ? 'White' : 'Black'} | Move: ${state.moveNumber}`;
+  statusEl.textContent = `Mode: ${mode} | Turn: ${state.turn === 'w' ? 'White' : 'Black'} | Move: ${state.moveNumber}`
+    + (check.text ? ` | ${check.text}` : '') + (moveNotice ? ` | ${moveNotice}` : '');
 }
 
 // Helper: present an in-page chooser for outcomes. Calls cb(chosen) where
@@ -926,6 +1089,7 @@ function showOutcomeChooser(outcomes, cb) {
 
 // Helper to apply a chosen resolved move and then handle post-move logic
 function applyChosenMove(chosen) {
+  moveNotice = '';
   // If we're in online mode, send the chosen resolved move to the server for validation
   if (mode === 'online') {
     if (!onlineRoomId) {
@@ -936,13 +1100,13 @@ function applyChosenMove(chosen) {
     if (!s) { alert('Socket connection is not available. Make sure the page is served by the game server.'); return; }
     // disable UI briefly while waiting for server reply
     selectedSq = null; legalTargets.clear(); suggestion = null; render();
-    s.emit('makeMove', { roomId: onlineRoomId, resolved: chosen }, (ack) => {
+    s.emit('makeMove', { roomId: onlineRoomId, id: chosen.id || moveId(chosen) }, (ack) => {
       if (!ack) {
         alert('No response from server');
         return;
       }
       if (ack.error) {
-        alert('Move rejected: ' + (ack.error || 'illegal'));
+        alert('Move rejected: ' + (ack.message || ack.error || 'illegal'));
         // re-render to restore UI state
         render();
         return;
@@ -953,6 +1117,7 @@ function applyChosenMove(chosen) {
   }
 
   // Local (non-online) mode: apply move immediately
+  const mover = state.turn;
   try {
     state = applyResolvedMove(state, chosen);
   } catch (err) {
@@ -966,9 +1131,9 @@ function applyChosenMove(chosen) {
   try { playSoundForResolved(chosen, state); } catch (e) {}
   selectedSq = null; legalTargets.clear(); suggestion = null; render();
 
-  // After human move: update local clock baseline and check for local game end
+  // After human move: settle the mover's clock and check for local game end
   if (mode !== 'online') {
-    try { lastLocalTick = Date.now(); } catch (e) {}
+    try { localMoveMade(mover); } catch (e) {}
     try { checkLocalGameEnd(); } catch (e) { console.warn('local game end check failed', e && e.message); }
   }
 
@@ -993,6 +1158,12 @@ function checkLocalGameEnd() {
         msg = `Checkmate! ${winner} wins.`;
       } else if (res.result === 'stalemate') {
         msg = 'Stalemate! The game is a draw.';
+      } else if (res.result === 'insufficient-material') {
+        msg = 'Draw by insufficient material.';
+      } else if (res.result === 'repetition') {
+        msg = 'Draw by threefold repetition.';
+      } else if (res.result === 'fifty-move') {
+        msg = 'Draw by the fifty-move rule.';
       } else {
         msg = 'Game over.';
       }
@@ -1037,22 +1208,15 @@ function onSquareClick(s) {
       return;
     }
 
-    const idx = FILES.indexOf(s[0]) + 8 * RANKS.indexOf(s[1]);
-    const piece = state.board[idx];
+    const piece = pieceAt(state, s);
 
     // In Analyze mode or Hotseat: allow selecting pieces for the side to move
     if (!selectedSq) {
       if (!piece || piece.color !== state.turn) return;
       selectedSq = s;
-      const baseMoves = generatePseudoLegalMoves(state, selectedSq);
-      // Filter via check legality for UI highlights
-      let targetSet = new Set();
-      for (const bm of baseMoves) {
-        const outcomes = expandWithPortalOutcomes(state, bm);
-        const legal = filterLegalByCheck(state, outcomes);
-        for (const o of legal) targetSet.add((o.toFinal || o.to));
-      }
-      legalTargets = targetSet;
+      moveNotice = '';
+      // Highlight every square a legal outcome of this piece ends on
+      legalTargets = new Set(generateLegalMoves(state).filter(o => o.from === selectedSq).map(o => o.toFinal || o.to));
       render();
       return;
     }
@@ -1062,19 +1226,18 @@ function onSquareClick(s) {
       selectedSq = null; legalTargets.clear(); render(); return;
     }
 
-    // Attempt to move
-    const baseMoves = generatePseudoLegalMoves(state, selectedSq).filter(m => m.to === s);
-    if (baseMoves.length === 0) {
-      selectedSq = null; legalTargets.clear(); render(); return;
-    }
-
-    let outcomes = [];
-    for (const bm of baseMoves) outcomes.push(...expandWithPortalOutcomes(state, bm));
-
-    // Filter outcomes by check legality
-    outcomes = filterLegalByCheck(state, outcomes);
+    // Attempt to move: the legal outcomes of moves from the selected square onto the clicked one.
+    // Castling can also be played by moving the king onto its castling rook, which Chess960 starts
+    // need when the king stays put or a plain king step goes to the same square.
+    const own = generateLegalMoves(state).filter(m => m.from === selectedSq);
+    const plain = own.filter(m => m.to === s && m.kind !== 'castle');
+    const outcomes = plain.length ? plain : own.filter(m => m.kind === 'castle' && (m.to === s || m.meta.rook === s));
+    const baseMoves = outcomes.map(({ from, to, kind }) => ({ from, to, kind }));
 
     if (outcomes.length === 0) {
+      // Tell the player why (clicking another own piece just drops the selection)
+      const verdict = validateMove(state, { from: selectedSq, to: s });
+      moveNotice = !verdict.ok && verdict.reason !== 'own-piece' ? `Illegal move: ${verdict.message}` : '';
       selectedSq = null; legalTargets.clear(); render(); return;
     }
 
@@ -1197,7 +1360,9 @@ suggestBtn.addEventListener("click", () => {
       render();
       // show user a small alert with summary
       const dest = (mv.toFinal || mv.to).toUpperCase();
-      alert(`Suggestion for ${colorToSuggest === 'w' ? 'White' : 'Black'}:\nMove from ${mv.from} -> ${dest}${mv.viaPortal?.swapped ? " (SWAP)" : ""}`);
+      let san = '';
+      try { san = moveToSAN(state, mv); } catch (e) { /* notation is informational only */ }
+      alert(`Suggestion for ${colorToSuggest === 'w' ? 'White' : 'Black'}:\n${san ? san + ' — ' : ''}Move from ${mv.from} -> ${dest}${mv.viaPortal?.swapped ? " (SWAP)" : ""}`);
     } else {
       suggestion = null;
       alert("No suggested move (no legal moves).");
@@ -1215,6 +1380,7 @@ applySuggestionBtn.addEventListener("click", () => {
     return;
   }
   try {
+    const mover = state.turn;
     state = applyResolvedMove(state, suggestion);
     try { lastMove = { from: (suggestion.from || '').toUpperCase(), to: ((suggestion.toFinal || suggestion.to) || '').toUpperCase() }; } catch (e) { lastMove = null; }
     try { playSoundForResolved(suggestion, state); } catch (e) {}
@@ -1222,7 +1388,7 @@ applySuggestionBtn.addEventListener("click", () => {
     render();
     // After applying suggestion in Analyze mode, check for local game end
     if (mode !== 'online') {
-      try { lastLocalTick = Date.now(); } catch (e) {}
+      try { localMoveMade(mover); } catch (e) {}
       try { checkLocalGameEnd(); } catch (e) { console.warn('local game end check failed', e && e.message); }
     }
   } catch (err) {
@@ -1233,10 +1399,10 @@ applySuggestionBtn.addEventListener("click", () => {
 
 // Reset button
 resetBtn.addEventListener("click", () => {
-  state = initialState();
+  state = initialState({ layout: urlLayout, variant: selectedVariant(), start: selectedStart(), handicap: urlHandicap });
   selectedSq = null; legalTargets.clear(); suggestion = null;
-  // clear last-move highlight on reset
-  lastMove = null;
+  // clear last-move highlight and any move notice on reset
+  lastMove = null; moveNotice = '';
   // cancel any pending AI work when resetting
   clearAiTimer();
   // stop keep-alive pings when resetting
@@ -1285,6 +1451,84 @@ function toggleFlip() {
   render();
 }
 if (flipBtn) flipBtn.addEventListener('click', toggleFlip);
+
+// Changing the rules starts a fresh local game; online rooms keep the rules they were created with
+if (variantSelect) variantSelect.addEventListener('change', () => {
+  if (mode === 'online') return;
+  resetBtn.click();
+});
+// The same goes for the start position
+if (startSelect) startSelect.addEventListener('change', () => {
+  if (mode === 'online') return;
+  resetBtn.click();
+});
+
+// Game record export: download the current game as a .pgn file
+function currentGamePGN() {
+  const d = new Date();
+  const date = `${d.getFullYear()}.${String(d.getMonth() + 1).padStart(2, '0')}.${String(d.getDate()).padStart(2, '0')}`;
+  const tc = (mode === 'online' && onlineTimeControl) || localTimeControl || selectedTimeControl();
+  const tags = { Event: mode === 'online' ? 'Online game' : 'Casual game', Site: window.location.origin, Date: date, TimeControl: timeControlTag(tc, 'w') };
+  if (tc.minutes.b !== tc.minutes.w) { tags.WhiteTimeControl = timeControlTag(tc, 'w'); tags.BlackTimeControl = timeControlTag(tc, 'b'); }
+  if (mode === 'online' && onlineRoomId) tags.Round = onlineRoomId;
+  if (mode === 'vs-ai') { tags.White = aiColor === 'w' ? 'AI' : 'Player'; tags.Black = aiColor === 'b' ? 'AI' : 'Player'; }
+  return gameToPGN(state, tags);
+}
+function downloadText(text, fileName, type) {
+  const blob = new Blob([text], { type });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+if (exportPgnBtn) exportPgnBtn.addEventListener('click', () => {
+  try {
+    downloadText(currentGamePGN(), `portalchess-${Date.now()}.pgn`, 'text/plain');
+  } catch (err) {
+    console.error('PGN export failed:', err);
+    alert('Failed to export the game (see console).');
+  }
+});
+// Saved game: the full state in the versioned schema (see serializeState in engine.js)
+if (saveGameBtn) saveGameBtn.addEventListener('click', () => {
+  try {
+    downloadText(JSON.stringify(serializeState(state)), `portalchess-${Date.now()}.json`, 'application/json');
+  } catch (err) {
+    console.error('Saving the game failed:', err);
+    alert('Failed to save the game (see console).');
+  }
+});
+
+// Game import: a saved game (.json) or a game record replayed onto the board (local modes only)
+function loadGameRecord(text) {
+  state = /^\s*\{/.test(text) ? deserializeState(text) : gameFromPGN(text).state;
+  if (variantSelect && state.variant && VARIANTS[state.variant.name]) variantSelect.value = state.variant.name;
+  const last = state.history.length ? state.history[state.history.length - 1] : null;
+  lastMove = last ? { from: (last.from || '').toUpperCase(), to: ((last.toFinal || last.to) || '').toUpperCase() } : null;
+  selectedSq = null; legalTargets.clear(); suggestion = null; gameOver = false;
+  clearAiTimer();
+  render();
+  try { checkLocalGameEnd(); } catch (e) {}
+  return state;
+}
+if (importPgnBtn && importPgnInput) {
+  importPgnBtn.addEventListener('click', () => {
+    if (mode === 'online') { alert('Games cannot be imported during an online game.'); return; }
+    importPgnInput.value = '';
+    importPgnInput.click();
+  });
+  importPgnInput.addEventListener('change', async () => {
+    const file = importPgnInput.files && importPgnInput.files[0];
+    if (!file) return;
+    try {
+      loadGameRecord(await file.text());
+    } catch (err) {
+      console.error('Game import failed:', err);
+      alert('Failed to import game: ' + (err && err.message));
+    }
+  });
+}
 document.addEventListener('keydown', (e) => {
   if (!e || !e.key) return;
   // ignore typing into inputs
@@ -1364,13 +1608,15 @@ function connectSocket() {
   socket.on('connect', () => { console.log('connected to server', socket.id); });
   // keep-alive will start when the server signals the game has started
 
-  socket.on('gameStart', ({ roomId, color, state: serverState, clocks }) => {
+  socket.on('gameStart', ({ roomId, color, state: serverState, clocks, timeControl }) => {
     onlineRoomId = roomId;
     onlineColor = color;
+    if (timeControl) { onlineTimeControl = timeControl; showTimeControl(timeControl); }
     // adopt server state and render
-    try { state = hydrateState(serverState); } catch (e) { state = serverState; }
+    adoptServerState(serverState);
     // if server included clocks (top-level), sync them
     if (clocks) serverClocks = { w: clocks.w, b: clocks.b };
+    serverClockRunning = true;
     lastClockSyncAt = Date.now(); lastServerTs = Date.now();
     startClockLoop();
     // reset any previous game-over flag when a new game starts
@@ -1382,7 +1628,7 @@ function connectSocket() {
   });
 
   socket.on('moveMade', ({ resolved, state: serverState, clocks }) => {
-    try { state = hydrateState(serverState); lastMove = { from: (resolved.from||'').toUpperCase(), to: ((resolved.toFinal||resolved.to)||'').toUpperCase() }; } catch (e) { state = serverState; }
+    if (adoptServerState(serverState)) lastMove = { from: (resolved.from||'').toUpperCase(), to: ((resolved.toFinal||resolved.to)||'').toUpperCase() };
     // if server included clocks in the payload, sync immediately
     try { if (clocks) serverClocks = { w: clocks.w, b: clocks.b }; } catch (e) {}
     lastClockSyncAt = Date.now();
@@ -1394,6 +1640,8 @@ function connectSocket() {
     try {
       if (!data || !data.clocks) return;
       serverClocks = { w: data.clocks.w, b: data.clocks.b };
+      serverClockRunning = data.running !== false;
+      if (data.timeControl) onlineTimeControl = data.timeControl;
       lastClockSyncAt = Date.now();
       lastServerTs = data.ts || lastClockSyncAt;
       // ensure clock loop is running when in online game
@@ -1409,7 +1657,7 @@ function connectSocket() {
     console.log('playerLeft', socketId);
   });
 
-  // Server-declared game end (checkmate / stalemate)
+  // Server-declared game end (checkmate / stalemate / draws)
   socket.on('gameEnd', (data) => {
     try {
       // Lock the board and cancel timers/pings
@@ -1427,6 +1675,12 @@ function connectSocket() {
         msg = `Checkmate! ${winner} wins.`;
       } else if (data && data.result === 'stalemate') {
         msg = 'Stalemate! The game is a draw.';
+      } else if (data && data.result === 'insufficient-material') {
+        msg = 'Draw by insufficient material.';
+      } else if (data && data.result === 'repetition') {
+        msg = 'Draw by threefold repetition.';
+      } else if (data && data.result === 'fifty-move') {
+        msg = 'Draw by the fifty-move rule.';
       } else {
         msg = 'Game over.';
       }
@@ -1444,7 +1698,7 @@ function connectSocket() {
   });
 
   socket.on('moveRejected', (data) => {
-    alert('Move rejected by server');
+    alert('Move rejected by server' + (data && data.message ? `: ${data.message}` : ''));
   });
 
   socket.on('disconnect', () => { console.log('socket disconnected'); socket = null; onlineRoomId = null; onlineColor = null; hideOnlinePanel(); stopKeepAlive(); });
@@ -1456,10 +1710,12 @@ function connectSocket() {
 function createRoomOnServer() {
   const s = connectSocket();
   if (!s) return;
-  const timeMinutes = parseInt((timeControlSelect && timeControlSelect.value) || '10', 10) || 10;
-  s.emit('createRoom', { timeMinutes }, (res) => {
+  const timeMinutes = clockMinutes();
+  const timeControl = selectedTimeControl();
+  s.emit('createRoom', { timeMinutes, timeControl, layout: urlLayout, variant: selectedVariant(), start: selectedStart(), handicap: urlHandicap }, (res) => {
     if (res && res.roomId) {
-      onlineRoomId = res.roomId; isHost = true; onlineColor = 'w';
+      onlineRoomId = res.roomId; isHost = true; onlineColor = res.color || 'w';
+      saveSeatToken(res.roomId, res.seatToken);
       const link = window.location.origin + '/play/' + res.roomId;
       history.replaceState(null, '', '/'); // keep path clean until user shares link
       showOnlinePanel(`Room created: ${res.roomId} — Share link to invite`, link);
@@ -1469,14 +1725,26 @@ function createRoomOnServer() {
   });
 }
 
+// The server hands out a seat token with each seat; presenting it again (after a dropped
+// connection or a reload of the room link) takes the same seat back.
+function saveSeatToken(roomId, token) {
+  if (!token) return;
+  try { sessionStorage.setItem('seat:' + roomId, token); } catch (e) {}
+}
+
+function loadSeatToken(roomId) {
+  try { return sessionStorage.getItem('seat:' + roomId) || undefined; } catch (e) { return undefined; }
+}
+
 function joinRoomOnServer(roomId) {
   const s = connectSocket();
   if (!s) return;
-  s.emit('joinRoom', { roomId }, (res) => {
+  s.emit('joinRoom', { roomId, seatToken: loadSeatToken(roomId) }, (res) => {
     if (res && res.error) {
       alert('Failed to join room: ' + res.error);
     } else {
       onlineRoomId = roomId; isHost = false;
+      saveSeatToken(roomId, res && res.seatToken);
       showOnlinePanel(`Joined room: ${roomId} — waiting for opponent...`, window.location.origin + '/play/' + roomId);
     }
   });
@@ -1502,14 +1770,33 @@ try {
       try { return isSquareAttacked(state, sq, attacker); } catch (e) { return !!e; }
     };
     window.applyResolvedMove = applyResolvedMove;
+    // Legal moves of the live position with their IDs, e.g. legalMoves().map(m => m.id)
+    window.legalMoves = (s) => generateLegalMoves(s || state);
+    // Position import/export: `toPFEN()` prints the live position, `loadPFEN(str)` replaces it
+    // (with the current layout, rules and handicap, as for a ?pfen= URL)
+    window.toPFEN = (s) => toPFEN(s || state);
+    window.exportPGN = () => currentGamePGN();
+    window.loadPGN = (text) => loadGameRecord(text);
+    window.loadPFEN = (pfen) => {
+      state = fromPFEN(pfen, { layout: urlLayout, variant: selectedVariant(), handicap: urlHandicap });
+      selectedSq = null; legalTargets.clear(); suggestion = null; lastMove = null; moveNotice = ''; gameOver = false;
+      render();
+      return state;
+    };
+    // Set up a position with the current layout and rules, e.g.
+    // loadPosition({ pieces: { E1: 'K', E8: 'k', D5: 'N' }, turn: 'w' }) (see setupPosition in engine.js)
+    window.loadPosition = (setup) => {
+      state = setupPosition(setup, { layout: urlLayout, variant: selectedVariant() });
+      selectedSq = null; legalTargets.clear(); suggestion = null; lastMove = null; moveNotice = ''; gameOver = false;
+      render();
+      return state;
+    };
     // Quick browser test for the personal-portal "no-return" rule.
     // Call `runPersonalPortalTest()` from DevTools console.
     window.runPersonalPortalTest = function() {
       try {
-        const toIndex = sq => FILES.indexOf(sq[0]) + 8 * RANKS.indexOf(sq[1]);
-        let s = initialState();
-        // place a white knight on D5
-        s.board[toIndex('D5')] = { type: 'N', color: 'w', hasMoved: false };
+        // the initial position plus a white knight on D5
+        const s = setupPosition({ placement: 'rnbqkbnr/pppppppp/8/3N4/8/8/PPPPPPPP/RNBQKBNR', castleRights: 'KQkq' });
         const resolvedWhitePortal = {
           from: 'D5', to: 'F5', toFinal: 'F5', kind: 'portal-activation',
           viaPortal: { network: 'exclusive', entry: 'D5', choice: 'F5', swapped: false }
@@ -1530,10 +1817,8 @@ try {
     // Scenario 2: move onto portal then jump in same turn (D4 -> D5 -> F5)
     window.runPersonalPortalScenario2 = function() {
       try {
-        const toIndex = sq => FILES.indexOf(sq[0]) + 8 * RANKS.indexOf(sq[1]);
-        let s = initialState();
-        // place a white knight on D4
-        s.board[toIndex('D4')] = { type: 'N', color: 'w', hasMoved: false };
+        // the initial position plus a white knight on D4
+        const s = setupPosition({ placement: 'rnbqkbnr/pppppppp/8/8/3N4/8/PPPPPPPP/RNBQKBNR', castleRights: 'KQkq' });
         // Simulate resolved outcome where the piece moves D4 -> D5 (landing) then jumps to F5
         const resolvedJump = {
           from: 'D4', to: 'F5', toFinal: 'F5', kind: 'move',
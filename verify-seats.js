@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/*
+  verify-seats.js
+  Check the server's seat rules against a live server.
+
+  Usage:
+    node verify-seats.js
+
+  Starts server.js on a spare port and plays a room through socket.io clients: the host and a
+  second player take the seats, then a move by the side not to move must be refused with
+  not-your-turn, a move by an outsider with not-a-player, and joining the running room with
+  room-locked. After the second player drops, a stranger (with or without a made-up seat token)
+  must still be refused while the seat stands vacant, and the player must get the same colour
+  back when rejoining with their seat token, while the connection the token was last used from
+  loses the seat. It exits non-zero when any check fails, so run it
+  after any change to the room handling in server.js.
+*/
+
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { io } from 'socket.io-client';
+
+import { deserializeState, generateLegalMoves, moveId } from './engine.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const TIMEOUT_MS = 5000;
+
+function sparePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function withTimeout(promise, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out waiting for ${what}`)), TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function startServer(port) {
+  const child = spawn(process.execPath, ['server.js'], { cwd: ROOT, env: { ...process.env, PORT: String(port) }, stdio: ['ignore', 'pipe', 'pipe'] });
+  const ready = new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Server listening')) resolve();
+    });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.once('exit', (code) => reject(new Error(`server exited with code ${code}:\n${output}`)));
+  });
+  return { child, ready: withTimeout(ready, 'the server to start') };
+}
+
+function connect(port) {
+  const socket = io(`http://localhost:${port}`, { transports: ['websocket'], reconnection: false, forceNew: true });
+  return withTimeout(new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  }), 'a connection');
+}
+
+function request(socket, event, payload) {
+  return withTimeout(new Promise(resolve => socket.emit(event, payload, resolve)), `the reply to ${event}`);
+}
+
+function next(socket, event) {
+  return withTimeout(new Promise(resolve => socket.once(event, resolve)), `${event}`);
+}
+
+// A legal move for the side to move, by ID
+function someMove(wireState) {
+  return moveId(generateLegalMoves(deserializeState(wireState))[0]);
+}
+
+async function run(port) {
+  let failures = 0;
+  const check = (ok, label, detail) => {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}`);
+    if (!ok) {
+      failures++;
+      if (detail !== undefined) console.log(`     got ${JSON.stringify(detail)}`);
+    }
+  };
+
+  const host = await connect(port);
+  const created = await request(host, 'createRoom', {});
+  const { roomId } = created;
+  check(roomId && created.color === 'w' && created.seatToken, 'createRoom seats the host as White with a token', created);
+
+  const guest = await connect(port);
+  const hostStart = next(host, 'gameStart');
+  const guestStart = next(guest, 'gameStart');
+  const joined = await request(guest, 'joinRoom', { roomId });
+  check(joined.ok && joined.color === 'b' && joined.seatToken && joined.seatToken !== created.seatToken, 'joinRoom seats the guest as Black with its own token', joined);
+  const [hostGame, guestGame] = await Promise.all([hostStart, guestStart]);
+  check(hostGame.color === 'w' && guestGame.color === 'b', 'gameStart tells each player their colour', [hostGame.color, guestGame.color]);
+
+  let wire = hostGame.state;
+  let res = await request(guest, 'makeMove', { roomId, id: someMove(wire) });
+  check(res.error === 'not-your-turn', 'a move by the side not to move is refused with not-your-turn', res);
+
+  const outsider = await connect(port);
+  res = await request(outsider, 'makeMove', { roomId, id: someMove(wire) });
+  check(res.error === 'not-a-player', 'a move by an outsider is refused with not-a-player', res);
+  res = await request(outsider, 'joinRoom', { roomId });
+  check(res.error === 'room-locked', 'joining a running room is refused with room-locked', res);
+
+  const moved = next(host, 'moveMade');
+  res = await request(host, 'makeMove', { roomId, id: someMove(wire) });
+  check(!res.error, 'the side to move can move', res);
+  wire = (await moved).state;
+
+  const left = next(host, 'playerLeft');
+  guest.disconnect();
+  await left;
+  res = await request(outsider, 'joinRoom', { roomId });
+  check(res.error === 'room-locked', 'a stranger cannot take the seat of a player who dropped', res);
+  res = await request(outsider, 'joinRoom', { roomId, seatToken: 'not-a-token' });
+  check(res.error === 'room-locked', 'a made-up seat token does not open the seat', res);
+  res = await request(outsider, 'joinRoom', { roomId, seatToken: created.seatToken });
+  check(res.ok && res.color === 'w', 'the seat token alone picks the seat', res);
+
+  const back = await connect(port);
+  const backStart = next(back, 'gameStart');
+  res = await request(back, 'joinRoom', { roomId, seatToken: joined.seatToken });
+  check(res.ok && res.color === 'b', 'the player who dropped gets Black back with their token', res);
+  const backGame = await backStart;
+  check(backGame.color === 'b', 'gameStart on rejoining repeats the colour', backGame.color);
+  res = await request(back, 'makeMove', { roomId, id: someMove(wire) });
+  check(!res.error, 'the rejoined player can move for Black', res);
+  res = await request(host, 'makeMove', { roomId, id: someMove(wire) });
+  check(res.error === 'not-a-player', 'a connection replaced through its seat token loses the seat', res);
+
+  for (const socket of [host, outsider, back]) socket.disconnect();
+  return failures;
+}
+
+const port = await sparePort();
+const { child, ready } = startServer(port);
+let failures;
+try {
+  await ready;
+  failures = await run(port);
+} catch (e) {
+  console.error(e.message);
+  failures = 1;
+} finally {
+  child.kill();
+}
+console.log(failures ? `${failures} seat check(s) failed` : 'All seat checks passed');
+process.exit(failures ? 1 : 0);